@@ -171,7 +171,7 @@ const asset_copier = () => {
       });
 
       // watch patterns
-      const baseFileExtensions = ['.json', '.yml', '.yaml', '.md'];
+      const baseFileExtensions = ['.json', '.yml', '.yaml', '.data.js', '.data.cjs', '.md'];
       const patternWatches = baseFileExtensions.concat(patternlab.engines.getSupportedFileExtensions()).map(
         dotExtension => path.join(
           basePath,
@@ -184,6 +184,10 @@ const asset_copier = () => {
           console.log(`Pattern Lab is watching ${patternWatchPath} for changes`);
         }
 
+        if (patternlab.watchers[patternWatchPath]) {
+          patternlab.watchers[patternWatchPath].close();
+        }
+
         const patternWatcher = chokidar.watch(
           path.resolve(patternWatchPath),
           {
@@ -209,7 +213,13 @@ const asset_copier = () => {
           patternlab.events.emit('patternlab-pattern-change', {
             file: p
           });
+        }).on('unlink', (p) => {
+          patternlab.events.emit('patternlab-pattern-change', {
+            file: p
+          });
         });
+
+        patternlab.watchers[patternWatchPath] = patternWatcher;
       });
     }
   };
@@ -0,0 +1,247 @@
+"use strict";
+
+const path = require('path');
+const fs = require('fs-extra');
+
+/**
+ * Why a pattern was built or skipped.
+ */
+const BuildReason = {
+  CLEAN: "clean",
+  CHANGED: "changed",
+  DEPENDENCY_CHANGED: "dependency changed",
+  FULL_REBUILD: "full rebuild",
+  FILTERED: "filtered out"
+};
+
+/**
+ * Kinds of problems found while building that do not stop the build.
+ */
+const WarningType = {
+  DEEP_NESTING: "deep nesting",
+  MISSING_PARTIAL: "missing partial",
+  INVALID_JSON: "invalid json",
+  INVALID_DATA: "invalid data"
+};
+
+/**
+ * Kinds of errors found while building.
+ */
+const ErrorType = {
+  RENDER: "render error",
+  BUILD: "build error"
+};
+
+// In strict mode, these warnings are errors
+const strictWarningTypes = [WarningType.MISSING_PARTIAL, WarningType.INVALID_JSON, WarningType.INVALID_DATA];
+
+/**
+ * Rejects a strict build, holding all errors found while building.
+ *
+ * @param {Array} errors Objects with the type, message and, if known, the pattern of each error
+ * @constructor
+ */
+const BuildError = function (errors) {
+  Error.captureStackTrace(this, BuildError);
+  this.name = 'BuildError';
+  this.message = `Pattern Lab build failed with ${errors.length} error(s):\n` +
+    errors.map(e => `  [${e.type}] ${e.pattern ? e.pattern + ': ' : ''}${e.message}`).join('\n');
+  this.errors = errors;
+};
+
+BuildError.prototype = Object.create(Error.prototype);
+BuildError.prototype.constructor = BuildError;
+
+/**
+ * A machine-readable summary of a build: which patterns were built or skipped and why, how long
+ * each took to render and which problems were found. Stored next to the pattern graph as
+ * build-report.json after every build, for consumption by CI.
+ *
+ * @param {boolean} [strict] If true, missing partials, invalid JSON and data violating the schema
+ * of its pattern are recorded as errors
+ * @constructor
+ */
+const BuildReport = function (strict) {
+  this.startTime = Date.now();
+  this.strict = !!strict;
+  this.reasons = new Map();
+  this.renderTimes = new Map();
+  this.failed = new Set();
+  this.warnings = [];
+  this.errors = [];
+};
+
+function isRecorded(problems, entry) {
+  return problems.some(p => p.type === entry.type && p.message === entry.message && p.relPath === entry.relPath);
+}
+
+function problem(type, message, pattern) {
+  const entry = {
+    type: type,
+    message: message
+  };
+  if (pattern) {
+    entry.pattern = pattern.patternPartial;
+    entry.relPath = pattern.relPath;
+  }
+  return entry;
+}
+
+BuildReport.prototype = {
+
+  /**
+   * @param {Pattern} pattern
+   * @param {string} reason One of {@link BuildReason}
+   */
+  setReason: function (pattern, reason) {
+    this.reasons.set(pattern, reason);
+  },
+
+  /**
+   * @param {Pattern} pattern
+   * @param {number} renderTime Milliseconds spent rendering and writing the pattern
+   */
+  patternBuilt: function (pattern, renderTime) {
+    this.renderTimes.set(pattern, renderTime);
+  },
+
+  /**
+   * @return {Array} The {@link Pattern}s rendered and written by this build
+   */
+  builtPatterns: function () {
+    return Array.from(this.renderTimes.keys());
+  },
+
+  /**
+   * @param {Pattern} pattern
+   * @param {string} message Why the pattern could not be rendered
+   */
+  patternFailed: function (pattern, message) {
+    this.failed.add(pattern);
+    this.addError(ErrorType.RENDER, message, pattern);
+  },
+
+  /**
+   * @param {string} type One of {@link WarningType}
+   * @param {string} message
+   * @param {Pattern} [pattern] The pattern the problem was found in, if known
+   * @return {boolean} False if the same warning was already recorded, which is left out
+   */
+  addWarning: function (type, message, pattern) {
+    const problems = this.strict && strictWarningTypes.indexOf(type) > -1 ? this.errors : this.warnings;
+    const entry = problem(type, message, pattern);
+    if (isRecorded(problems, entry)) {
+      return false;
+    }
+    problems.push(entry);
+    return true;
+  },
+
+  /**
+   * @param {string} type One of {@link ErrorType}, or in strict mode {@link WarningType}
+   * @param {string} message
+   * @param {Pattern} [pattern] The pattern the error was found in, if known
+   */
+  addError: function (type, message, pattern) {
+    this.errors.push(problem(type, message, pattern));
+  },
+
+  /**
+   * @return {BuildError|null} The error to reject a strict build with, if any errors were found
+   */
+  toError: function () {
+    return this.strict && this.errors.length > 0 ? new BuildError(this.errors) : null;
+  },
+
+  /**
+   * @param {Array} patterns All patterns known to this build
+   * @return {object}
+   */
+  toJson: function (patterns) {
+    const status = p => {
+      if (this.renderTimes.has(p)) {
+        return 'built';
+      }
+      return this.failed.has(p) ? 'failed' : 'skipped';
+    };
+    const entries = patterns.filter(p => p.isPattern).map(p => {
+      const entry = {
+        pattern: p.patternPartial,
+        relPath: p.relPath,
+        status: status(p),
+        reason: this.reasons.get(p) || BuildReason.CLEAN
+      };
+      if (entry.status === 'built') {
+        entry.renderTime = this.renderTimes.get(p);
+      }
+      return entry;
+    });
+    const count = s => entries.filter(e => e.status === s).length;
+
+    return {
+      timestamp: new Date().getTime(),
+      totals: {
+        patterns: entries.length,
+        built: count('built'),
+        failed: count('failed'),
+        skipped: count('skipped'),
+        warnings: this.warnings.length,
+        errors: this.errors.length,
+        duration: Date.now() - this.startTime
+      },
+      patterns: entries,
+      warnings: this.warnings,
+      errors: this.errors
+    };
+  }
+};
+
+/**
+ * Records a warning in the report of the current build, if there is one.
+ *
+ * @param patternlab
+ * @param {string} type One of {@link WarningType}
+ * @param {string} message
+ * @param {Pattern} [pattern]
+ * @return {boolean} False if the same warning was already recorded in the report
+ */
+BuildReport.addWarning = function (patternlab, type, message, pattern) {
+  if (patternlab && patternlab.buildReport) {
+    return patternlab.buildReport.addWarning(type, message, pattern);
+  }
+  return true;
+};
+
+/**
+ * Records an error in the report of the current build, if there is one.
+ *
+ * @param patternlab
+ * @param {string} type One of {@link ErrorType}
+ * @param {string} message
+ * @param {Pattern} [pattern]
+ */
+BuildReport.addError = function (patternlab, type, message, pattern) {
+  if (patternlab && patternlab.buildReport) {
+    patternlab.buildReport.addError(type, message, pattern);
+  }
+};
+
+BuildReport.resolveReportFile = function (patternlab) {
+  return path.resolve(patternlab.config.paths.public.root, 'build-report.json');
+};
+
+/**
+ * Writes the report of the current build to build-report.json in config.paths.public.root
+ * @param patternlab
+ */
+BuildReport.storeToFile = function (patternlab) {
+  fs.outputJSONSync(this.resolveReportFile(patternlab), patternlab.buildReport.toJson(patternlab.patterns));
+};
+
+module.exports = {
+  BuildReport: BuildReport,
+  BuildReason: BuildReason,
+  WarningType: WarningType,
+  ErrorType: ErrorType,
+  BuildError: BuildError
+};
@@ -1,4 +1,6 @@
 'use strict';
+const crypto = require('crypto');
+const path = require('path');
 const fs = require("fs-extra");
 const CompileState = require('./object_factory').CompileState;
 
@@ -12,9 +14,10 @@ const ChangesHunter = function () {
 ChangesHunter.prototype = {
 
   /**
-   * Checks the build state of a pattern by comparing the modification date of the rendered output
-   * file with the {@link Pattern.lastModified}. If the pattern was modified after the last
-   * time it has been rendered, it is flagged for rebuilding via {@link CompileState.NEEDS_REBUILD}.
+   * Checks the build state of a pattern by comparing the {@link Pattern.digest} with the digest
+   * the pattern had when it was last rendered, as stored in the serialized {@link PatternGraph}.
+   * If the contents of the pattern or any of its companion files changed since, or the rendered
+   * output is missing, it is flagged for rebuilding via {@link CompileState.NEEDS_REBUILD}.
    *
    * @param {Pattern} pattern
    * @param patternlab
@@ -35,6 +38,8 @@ ChangesHunter.prototype = {
       pattern.compileState = CompileState.NEEDS_REBUILD;
     }
 
+    const node = patternlab.graph.node(pattern);
+
     try {
 
       // renderedTemplatePath required to display a single element
@@ -45,17 +50,27 @@ ChangesHunter.prototype = {
         // Prevent error message if file does not exist
         fs.accessSync(renderedFile, fs.F_OK)
       );
-      const outputLastModified = fs.statSync(renderedTemplatePath).mtime.getTime();
 
-      if (pattern.lastModified && outputLastModified > pattern.lastModified) {
+      // The node still holds the digest of the last build, as the pattern was not added yet
+      if (pattern.digest && node && node.digest === pattern.digest) {
         pattern.compileState = CompileState.CLEAN;
       }
+
+      // A clean pattern still needs rebuilding if global data it read last time has changed
+      if (pattern.compileState === CompileState.CLEAN && this.readsChangedData(node, patternlab)) {
+        pattern.compileState = CompileState.NEEDS_REBUILD;
+      }
     } catch (e) {
       // Output does not exist yet, force recompile
       pattern.compileState = CompileState.NEEDS_REBUILD;
     }
 
-    const node = patternlab.graph.node(pattern);
+    // Clean patterns keep the data keys of their last rendering, the others record them anew
+    if (pattern.compileState === CompileState.CLEAN) {
+      pattern.dataKeys = node.dataKeys || null;
+    } else {
+      pattern.dataKeys = [];
+    }
 
     // Make the pattern known to the PatternGraph and remember its compileState
     if (!node) {
@@ -69,31 +84,146 @@ ChangesHunter.prototype = {
   },
 
   /**
-   * Updates {Pattern#lastModified} to the files modification date if the file was modified
-   * after {Pattern#lastModified}.
+   * Folds the contents of one of the pattern's files (template, json, listitems, markdown or
+   * pseudopattern json) into {@link Pattern.digest}. Files that do not exist are ignored.
+   *
+   * Only the base name of the file is part of the digest, so a checkout of the same sources
+   * in another directory yields the same digest.
    *
    * @param {Pattern} currentPattern
    * @param {string} file
    */
-  checkLastModified: function (currentPattern, file) {
+  checkContentDigest: function (currentPattern, file) {
     if (file) {
       try {
-        const stat = fs.statSync(file);
+        const contents = fs.readFileSync(file);
 
         // Needs recompile whenever one of the patterns files (template, json, pseudopatterns) changed
-        currentPattern.lastModified =
-          Math.max(stat.mtime.getTime(), currentPattern.lastModified || 0);
+        currentPattern.digest = crypto.createHash('sha1')
+          .update(currentPattern.digest || '')
+          .update(path.basename(file))
+          .update(contents)
+          .digest('hex');
       } catch (e) {
         // Ignore, not a regular file
       }
     }
   },
 
-  needsRebuild: function (lastModified, p) {
-    if (p.compileState !== CompileState.CLEAN || ! p.lastModified) {
+  /**
+   * Folds the data and list items of a pattern into {@link Pattern.digest}, for data computed by
+   * data modules, which may change while their files do not, e.g. data relative to the current date.
+   *
+   * @param {Pattern} pattern
+   */
+  checkComputedDataDigest: function (pattern) {
+    pattern.digest = crypto.createHash('sha1')
+      .update(pattern.digest || '')
+      .update(JSON.stringify([pattern.jsonFileData, pattern.listitems]) || '')
+      .digest('hex');
+  },
+
+  needsRebuild: function (p) {
+    return p.compileState !== CompileState.CLEAN || !p.digest;
+  },
+
+  /**
+   * Computes a digest for each top-level key of the global data and for the listitems, stores them
+   * in the {@link PatternGraph} and compares them to the digests of the last build.
+   *
+   * @param patternlab
+   * @return {Array} The keys of the global data ('data.' + key) and 'listitems', if any of these were
+   * added, changed or removed since the last build.
+   */
+  checkDataDigests: function (patternlab) {
+    const dataDigest = value => crypto.createHash('sha1').update(JSON.stringify(value) || '').digest('hex');
+    const oldDigests = patternlab.graph.dataDigests;
+    const newDigests = {};
+
+    Object.keys(patternlab.data).forEach(key => {
+      newDigests['data.' + key] = dataDigest(patternlab.data[key]);
+    });
+    newDigests.listitems = dataDigest(patternlab.listitems);
+
+    const changedKeys = Object.keys(newDigests).filter(key => oldDigests[key] !== newDigests[key])
+      .concat(Object.keys(oldDigests).filter(key => !newDigests.hasOwnProperty(key)));
+
+    patternlab.graph.dataDigests = newDigests;
+    return changedKeys;
+  },
+
+  /**
+   * Determines if any of the global data a pattern read when it was last rendered has changed.
+   * If it is unknown which data the pattern read, any change counts.
+   *
+   * @param {object} node The graph node of the pattern, holding the data keys of the last build
+   * @param patternlab
+   * @return {boolean}
+   */
+  readsChangedData: function (node, patternlab) {
+    const changedKeys = patternlab.changedDataKeys || [];
+    if (changedKeys.length === 0) {
+      return false;
+    }
+    if (!node.dataKeys) {
       return true;
     }
-    return p.lastModified >= lastModified;
+    return node.dataKeys.some(key => changedKeys.indexOf(key) > -1);
+  },
+
+  /**
+   * Remembers that the pattern read a key of the global data or the listitems while rendering.
+   *
+   * @param {Pattern} pattern
+   * @param {string} key Either 'data.' + the top-level key of the global data or 'listitems'
+   */
+  recordDataKey: function (pattern, key) {
+    if (pattern.dataKeys && pattern.dataKeys.indexOf(key) === -1) {
+      pattern.dataKeys.push(key);
+    }
+  },
+
+  /**
+   * Wraps the data a pattern is rendered with, so that every top-level key of the global data the
+   * template engine reads is recorded in {@link Pattern.dataKeys}. Keys missing from the data are
+   * recorded too, so that adding them to the global data later rebuilds the pattern.
+   *
+   * @param {Pattern} pattern
+   * @param {object} data The merged global and pattern data
+   * @param patternlab
+   * @return {object} A proxy of data, or data itself if the pattern is not tracked
+   */
+  trackDataKeys: function (pattern, data, patternlab) {
+    if (!pattern.dataKeys || !data) {
+      return data;
+    }
+    const digests = patternlab.graph.dataDigests;
+    const record = key => {
+      if (typeof key === 'string' && (digests.hasOwnProperty('data.' + key) || !(key in data))) {
+        this.recordDataKey(pattern, 'data.' + key);
+      }
+    };
+    return new Proxy(data, {
+      get: (target, key, receiver) => {
+        record(key);
+        return Reflect.get(target, key, receiver);
+      },
+      has: (target, key) => {
+        record(key);
+        return Reflect.has(target, key);
+      },
+      getOwnPropertyDescriptor: (target, key) => {
+        record(key);
+        return Reflect.getOwnPropertyDescriptor(target, key);
+      },
+
+      // Engines iterating over the data may read any of it
+      ownKeys: target => {
+        const keys = Reflect.ownKeys(target);
+        keys.forEach(record);
+        return keys;
+      }
+    });
   }
 };
 
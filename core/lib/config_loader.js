@@ -0,0 +1,223 @@
+"use strict";
+
+const path = require('path');
+const Module = require('module');
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const plutils = require('./utilities');
+const configSchema = require('./config_schema.json');
+
+const CONFIG_NAME = 'patternlab-config';
+const CONFIG_EXTENSIONS = ['.json', '.yml', '.yaml', '.js'];
+const ENV_PREFIX = 'PATTERNLAB_';
+const ENV_VARIABLE = 'PATTERNLAB_ENV';
+
+/**
+ * Loads patternlab-config files in json, yaml or js format, layering a base config, the configs it
+ * extends, an environment specific config and overrides from environment variables.
+ *
+ * @param fsDep
+ */
+const config_loader = function (fsDep) {
+  const fs = fsDep || require('fs-extra');
+
+  /**
+   * Finds the config file with the given name, in any of the supported formats.
+   *
+   * @param {string} dir
+   * @param {string} name leave off the file extension
+   * @return {string|undefined}
+   */
+  function findConfigFile(dir, name) {
+    return CONFIG_EXTENSIONS
+      .map(ext => path.resolve(dir, name + ext))
+      .find(file => fs.existsSync(file));
+  }
+
+  function readConfigFile(file) {
+    try {
+      if (path.extname(file) === '.js') {
+        return require(file);
+      }
+      return yaml.safeLoad(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      throw new Error(`Error loading config file: ${file} - ${err.message}`);
+    }
+  }
+
+  // Arrays of a layer replace those of the layers below instead of being merged by index
+  function mergeLayers(target, source) {
+    return _.mergeWith(target, source, (targetValue, sourceValue) => {
+      return Array.isArray(sourceValue) ? sourceValue.slice() : undefined;
+    });
+  }
+
+  function resolveBase(base, file) {
+    if (base.indexOf('.') === 0 || path.isAbsolute(base)) {
+      return path.resolve(path.dirname(file), base);
+    }
+    try {
+      // resolve the package like a module at the place of the file would, which require.resolve()
+      // only supports from Node 8.9 on
+      return Module._resolveFilename(base, {
+        id: file,
+        filename: file,
+        paths: Module._nodeModulePaths(path.dirname(file))
+      });
+    } catch (err) {
+      throw new Error(`Error loading config file: ${file} - cannot find the config "${base}" it extends`);
+    }
+  }
+
+  /**
+   * Reads a config file, merged on top of the configs named by its "extends" key. These are paths
+   * relative to the file or names of npm packages exporting a config.
+   *
+   * @param {string} file
+   * @param {Array} [seen] the files extending this one, to detect cycles
+   * @return {object}
+   */
+  function loadWithExtends(file, seen) {
+    const extenders = seen || [];
+    if (extenders.indexOf(file) > -1) {
+      throw new Error(`Error loading config file: ${file} - circular "extends": ${extenders.concat(file).join(' -> ')}`);
+    }
+
+    const config = _.cloneDeep(readConfigFile(file)) || {};
+    const bases = [].concat(config.extends || []);
+    delete config.extends;
+
+    const merged = bases.reduce((result, base) => {
+      return mergeLayers(result, loadWithExtends(resolveBase(base, file), extenders.concat(file)));
+    }, {});
+    return mergeLayers(merged, config);
+  }
+
+  // Keys are matched regardless of case, dashes and underscores, e.g. CACHE_BUST matches cacheBust
+  function normalizeKey(key) {
+    return key.toLowerCase().replace(/[-_]/g, '');
+  }
+
+  function parseValue(value) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value;
+    }
+  }
+
+  /**
+   * Overrides single keys of the config by PATTERNLAB_* environment variables. Nested keys are
+   * separated by double underscores, e.g. PATTERNLAB_PATHS__PUBLIC__ROOT=./dist/. Values are
+   * parsed as JSON where possible, so PATTERNLAB_CACHE_BUST=false sets a boolean.
+   *
+   * @param {object} config
+   * @param {object} env
+   * @return {object} the config
+   */
+  function applyEnvOverrides(config, env) {
+    Object.keys(env)
+      .filter(name => name.indexOf(ENV_PREFIX) === 0 && name !== ENV_VARIABLE)
+      .sort()
+      .forEach(name => {
+        const segments = name.substring(ENV_PREFIX.length).split('__');
+        let target = config;
+        let schema = configSchema;
+
+        for (let i = 0; i < segments.length; i++) {
+          const properties = schema && schema.properties || {};
+          const candidates = _.union(Object.keys(target), Object.keys(properties));
+          const key = candidates.find(candidate => normalizeKey(candidate) === normalizeKey(segments[i]));
+          if (!key) {
+            plutils.warning(`Environment variable ${name} does not match any configuration key and is ignored.`);
+            return;
+          }
+
+          if (i === segments.length - 1) {
+            target[key] = parseValue(env[name]);
+          } else {
+            if (!_.isPlainObject(target[key])) {
+              target[key] = {};
+            }
+            target = target[key];
+            schema = properties[key] || (schema && _.isPlainObject(schema.additionalProperties) ? schema.additionalProperties : null);
+          }
+        }
+      });
+    return config;
+  }
+
+  /**
+   * Reads the environment from a --env flag, as in --env staging or --env=staging
+   *
+   * @param {Array} argv
+   * @return {string|undefined}
+   */
+  function envFromArgv(argv) {
+    for (let i = 0; i < argv.length; i++) {
+      if (argv[i] === '--env') {
+        return argv[i + 1];
+      }
+      if (argv[i].indexOf('--env=') === 0) {
+        return argv[i].substring('--env='.length);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Loads the configuration. The layers, each overriding the ones before, are:
+   * 1. the configs extended by the base config
+   * 2. the base config, patternlab-config.{json,yml,yaml,js}
+   * 3. the configs extended by the environment config
+   * 4. the environment config, patternlab-config.<env>.{json,yml,yaml,js} next to the base config
+   * 5. PATTERNLAB_* environment variables
+   *
+   * @param {object} [options]
+   * @param {string} [options.configPath] the base config file, defaults to the one in options.cwd
+   * @param {string} [options.cwd] defaults to process.cwd()
+   * @param {string} [options.env] the environment, defaults to $PATTERNLAB_ENV or the --env flag
+   * @param {object} [options.environment] the environment variables, defaults to process.env
+   * @param {Array} [options.argv] the command line arguments, defaults to process.argv
+   * @return {object} the merged config
+   */
+  function loadConfig(loadOptions) {
+    const options = loadOptions || {};
+    const cwd = options.cwd || process.cwd();
+    const environment = options.environment || process.env;
+    const env = options.env || environment[ENV_VARIABLE] || envFromArgv(options.argv || process.argv);
+
+    const configPath = options.configPath ? path.resolve(cwd, options.configPath) : findConfigFile(cwd, CONFIG_NAME);
+    if (!configPath || !fs.existsSync(configPath)) {
+      throw new Error(`Could not find a configuration file ${options.configPath || CONFIG_NAME + '.{json,yml,yaml,js}'} in ${cwd}`);
+    }
+
+    let config = loadWithExtends(configPath);
+
+    if (env) {
+      const baseName = path.basename(configPath, path.extname(configPath));
+      const envPath = findConfigFile(path.dirname(configPath), `${baseName}.${env}`);
+      if (envPath) {
+        config = mergeLayers(config, loadWithExtends(envPath));
+      } else {
+        plutils.warning(`No configuration file ${baseName}.${env}.{json,yml,yaml,js} found for environment "${env}", using ${path.basename(configPath)} only.`);
+      }
+    }
+
+    return applyEnvOverrides(config, environment);
+  }
+
+  return {
+    load_config: function (options) {
+      return loadConfig(options);
+    },
+    find_config_file: function (dir) {
+      return findConfigFile(dir, CONFIG_NAME);
+    },
+    apply_env_overrides: function (config, env) {
+      return applyEnvOverrides(config, env);
+    }
+  };
+};
+
+module.exports = config_loader;
@@ -0,0 +1,72 @@
+"use strict";
+
+/**
+ * Includes of patterns rendered by another engine than the including pattern are replaced with a
+ * placeholder, which the including engine leaves untouched. Once the including pattern is
+ * rendered, pattern_renderer.js renders the included pattern with its own engine and replaces the
+ * placeholder with its markup.
+ *
+ * A placeholder is an HTML comment naming the included pattern and carrying the data of the
+ * include, like style modifiers or pattern parameters, URI encoded so that no engine mistakes
+ * it for its own syntax.
+ */
+const cross_engine_partials = function () {
+
+  const placeholderRE = /<!--pl-include:([^:>]+):([^:>]*)-->/g;
+
+  /**
+   * @param {string} patternPartial The included pattern, e.g. atoms-button
+   * @param {object} [data] Merged over the data of the including pattern when rendering it
+   * @return {string}
+   */
+  function createPlaceholder(patternPartial, data) {
+    const encodedData = data && Object.keys(data).length > 0 ? encodeURIComponent(JSON.stringify(data)) : '';
+    return `<!--pl-include:${patternPartial}:${encodedData}-->`;
+  }
+
+  /**
+   * @param {string} html
+   * @return {Array<{placeholder: string, patternPartial: string, data: object}>} The placeholders in
+   * the order they appear in html
+   */
+  function findPlaceholders(html) {
+    const found = [];
+    if (typeof html !== 'string') {
+      return found;
+    }
+    let match;
+    placeholderRE.lastIndex = 0;
+    while ((match = placeholderRE.exec(html)) !== null) {
+      found.push({
+        placeholder: match[0],
+        patternPartial: match[1],
+        data: match[2] ? JSON.parse(decodeURIComponent(match[2])) : {}
+      });
+    }
+    return found;
+  }
+
+  /**
+   * @param {Pattern} pattern
+   * @param {Pattern} partialPattern A pattern included by pattern
+   * @return {boolean} Whether the engine of pattern cannot render partialPattern itself
+   */
+  function isCrossEngine(pattern, partialPattern) {
+    return Boolean(pattern && pattern.engine && partialPattern && partialPattern.engine &&
+      pattern.engine !== partialPattern.engine);
+  }
+
+  return {
+    is_cross_engine: function (pattern, partialPattern) {
+      return isCrossEngine(pattern, partialPattern);
+    },
+    placeholder: function (patternPartial, data) {
+      return createPlaceholder(patternPartial, data);
+    },
+    find: function (html) {
+      return findPlaceholders(html);
+    }
+  };
+};
+
+module.exports = cross_engine_partials;
@@ -3,29 +3,271 @@
 const glob = require('glob'),
   _ = require('lodash'),
   path = require('path'),
-  yaml = require('js-yaml');
+  yaml = require('js-yaml'),
+  fd = require('./fake_data');
+
+const fake_data = new fd();
+
+// JavaScript data modules are named *.data.js, so that scripts next to a pattern are not taken for its data
+const dataFileExtensions = '{json,yml,yaml,data.js,data.cjs}';
+const moduleExtensions = ['.js', '.cjs'];
+
+// Data files may reference data of other files by {"$ref": "path#/json/pointer"}, or in yaml by !ref path#/json/pointer
+const refKey = '$ref';
+const refType = new yaml.Type('!ref', {
+  kind: 'scalar',
+  construct: ref => ({[refKey]: ref})
+});
+const dataSchema = yaml.Schema.create(yaml.DEFAULT_SAFE_SCHEMA, [refType]);
+
+// The files referenced by each loaded data file, directly or through other referenced files, or
+// the local modules a data module requires
+const referencedFiles = new Map();
+
+function isPromise(data) {
+  return Boolean(data) && typeof data.then === 'function';
+}
+
+function parseFile(filePath, fsDep) {
+  return yaml.safeLoad(fsDep.readFileSync(filePath, 'utf8'), {schema: dataSchema, filename: filePath});
+}
 
 /**
- * Loads a single config file, in yaml/json format.
+ * Finds the file and the JSON pointer a reference points to. Paths starting with the name of the
+ * source data or patterns directory, e.g. _data/users.yaml, are found in that directory, other
+ * paths relative to the referencing file. Without a path, the reference points into the
+ * referencing file itself.
  *
- * @param dataFilesPath - leave off the file extension.
+ * @param ref e.g. _data/users.yaml#/alice
+ * @param file - the referencing file
+ * @param config - the patternlab config
+ * @returns {{file: string, pointer: string}}
+ */
+function parseRef(ref, file, config) {
+  const hashIndex = ref.indexOf('#');
+  const refPath = hashIndex > -1 ? ref.substring(0, hashIndex) : ref;
+  const pointer = hashIndex > -1 ? ref.substring(hashIndex + 1) : '';
+
+  if (!refPath) {
+    return {file: file, pointer: pointer};
+  }
+
+  const segments = refPath.split(/[\\/]/);
+  const sourcePaths = config && config.paths && config.paths.source || {};
+  const sourceDir = [sourcePaths.data, sourcePaths.patterns]
+    .find(dir => dir && path.basename(path.resolve(dir)) === segments[0]);
+
+  return {
+    file: sourceDir ? path.resolve(sourceDir, segments.slice(1).join('/')) : path.resolve(path.dirname(file), refPath),
+    pointer: pointer
+  };
+}
+
+/**
+ * @param data
+ * @param pointer - a JSON pointer, e.g. /users/0/name
+ * @returns {*} the value the pointer points to
+ */
+function resolvePointer(data, pointer) {
+  if (!pointer) {
+    return data;
+  }
+  if (pointer.charAt(0) !== '/') {
+    throw new Error(`#${pointer} is not a JSON pointer, which starts with /`);
+  }
+  return pointer.substring(1).split('/').reduce((value, token) => {
+    const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, key)) {
+      throw new Error(`there is no data at #${pointer}`);
+    }
+    return value[key];
+  }, data);
+}
+
+/**
+ * Replaces each object with a $ref key by the data it references, with the other keys of the
+ * object merged over it. References within referenced data are resolved as well.
+ *
+ * @param data
+ * @param file - the path of the file the data was loaded from
  * @param fsDep
- * @returns {*}
+ * @param config - the patternlab config
+ * @returns {*} the data with all references resolved
  */
-function loadFile(dataFilesPath, fsDep) {
-  const dataFilesFullPath = dataFilesPath + '{.,[!-]*.}{json,yml,yaml}';
+function resolveReferences(data, file, fsDep, config) {
+  const filePath = path.resolve(file);
+  const files = new Set();
+  const parsed = new Map();
 
-  if (dataFilesPath) {
-    const dataFiles = glob.sync(dataFilesFullPath),
-      dataFile = _.head(dataFiles);
+  function resolveValue(value, currentFile, resolving) {
+    if (Array.isArray(value)) {
+      return value.map(item => resolveValue(item, currentFile, resolving));
+    }
+    if (!_.isPlainObject(value)) {
+      return value;
+    }
+    if (typeof value[refKey] !== 'string') {
+      return _.mapValues(value, item => resolveValue(item, currentFile, resolving));
+    }
 
-    if (dataFile && fsDep.existsSync(path.resolve(dataFile))) {
-      try {
-        return yaml.safeLoad(fsDep.readFileSync(path.resolve(dataFile), 'utf8'));
+    const ref = value[refKey];
+    let target, targetKey, targetValue;
+    try {
+      target = parseRef(ref, currentFile, config);
+      targetKey = path.relative(process.cwd(), target.file) + '#' + target.pointer;
+      if (resolving.indexOf(targetKey) > -1) {
+        throw new Error(`it is circular: ${resolving.concat(targetKey).join(' -> ')}`);
+      }
+      if (moduleExtensions.indexOf(path.extname(target.file)) > -1) {
+        throw new Error('only json and yaml files can be referenced');
       }
-      catch (err) {
-        throw new Error(`Error loading file: ${dataFile} - ${err.message}`);
+      if (!parsed.has(target.file)) {
+        parsed.set(target.file, parseFile(target.file, fsDep));
       }
+      targetValue = resolvePointer(parsed.get(target.file), target.pointer);
+    } catch (err) {
+      throw new Error(`Error resolving $ref "${ref}" in ${path.relative(process.cwd(), currentFile)}: ${err.message}`);
+    }
+    if (target.file !== filePath) {
+      files.add(target.file);
+    }
+    const referenced = resolveValue(targetValue, target.file, resolving.concat(targetKey));
+
+    const siblings = _.omit(value, refKey);
+    if (_.isEmpty(siblings) || !_.isPlainObject(referenced)) {
+      return referenced;
+    }
+    return _.merge({}, referenced, resolveValue(siblings, currentFile, resolving));
+  }
+
+  const resolved = resolveValue(data, filePath, [path.relative(process.cwd(), filePath) + '#']);
+  referencedFiles.set(filePath, Array.from(files));
+  return resolved;
+}
+
+/**
+ * @param ref e.g. _data/users.yaml#/alice
+ * @param file - the referencing file
+ * @param config - the patternlab config
+ * @returns {string} the absolute path of the file the reference points to
+ */
+function findRefFile(ref, file, config) {
+  return parseRef(ref, path.resolve(file), config).file;
+}
+
+/**
+ * @param dataFile
+ * @returns {Array<string>} the absolute paths of the files the data file referenced when it was
+ * loaded last
+ */
+function findReferencedFiles(dataFile) {
+  return dataFile ? referencedFiles.get(path.resolve(dataFile)) || [] : [];
+}
+
+/**
+ * @param dataFile
+ * @returns {boolean} whether the data file is a JavaScript module computing the data
+ */
+function isDataModule(dataFile) {
+  return moduleExtensions.indexOf(path.extname(dataFile)) > -1;
+}
+
+/**
+ * Requires a data module anew. The local modules it requires, directly or through other modules,
+ * are loaded anew as well, so that changes to them are picked up while watching. Packages in
+ * node_modules are left cached.
+ *
+ * @param filePath
+ * @returns {*} what the module exports
+ */
+function requireModule(filePath) {
+  [filePath].concat(findReferencedFiles(filePath)).forEach(file => {
+    delete require.cache[file];
+  });
+
+  const exported = require(filePath);
+  const dataModule = require.cache[filePath];
+
+  // otherwise each reload would be kept as a child of this module
+  const index = module.children.indexOf(dataModule);
+  if (index > -1) {
+    module.children.splice(index, 1);
+  }
+
+  const dependencies = new Set();
+  const addDependencies = required => required.children.forEach(child => {
+    if (!dependencies.has(child.filename) && child.filename.split(path.sep).indexOf('node_modules') === -1) {
+      dependencies.add(child.filename);
+      addDependencies(child);
+    }
+  });
+  addDependencies(dataModule);
+  referencedFiles.set(filePath, Array.from(dependencies));
+
+  return exported;
+}
+
+/**
+ * Reads a data file. JavaScript modules export the data, or a function receiving the
+ * patternlab config and returning the data or a Promise of it. In json and yaml files, references
+ * are resolved and $fake declarations replaced by the data they generate, see fake_data.js.
+ *
+ * @param dataFile
+ * @param fsDep
+ * @param config - the patternlab config, passed on to data modules exporting a function
+ * @returns {*} the data, or a Promise of it
+ */
+function readFile(dataFile, fsDep, config) {
+  const loadError = err => new Error(`Error loading file: ${dataFile} - ${err.message}`);
+  const filePath = path.resolve(dataFile);
+  let data;
+
+  try {
+    if (isDataModule(filePath)) {
+      const exported = requireModule(filePath);
+      data = typeof exported === 'function' ? exported(config) : exported;
+    } else {
+      data = fake_data.resolve(resolveReferences(parseFile(filePath, fsDep), filePath, fsDep, config));
+    }
+  }
+  catch (err) {
+    throw loadError(err);
+  }
+
+  return isPromise(data) ? data.then(null, err => { throw loadError(err); }) : data;
+}
+
+/**
+ * Finds the single config file, in yaml/json/js format, that would be loaded for a path.
+ *
+ * @param dataFilesPath - leave off the file extension.
+ * @returns {string|undefined} the path of the data file, if any
+ */
+function findFile(dataFilesPath) {
+  if (dataFilesPath) {
+    //the schema of a pattern's data is not data, see pattern_data_validator.js
+    const dataFiles = glob.sync(dataFilesPath + '{.,[!-]*.}' + dataFileExtensions, {
+      ignore: [dataFilesPath + '.schema.json']
+    });
+    return _.head(dataFiles);
+  }
+  return undefined;
+}
+
+/**
+ * Loads a single config file, in yaml/json/js format.
+ *
+ * @param dataFilesPath - leave off the file extension.
+ * @param fsDep
+ * @param config - the patternlab config, passed on to data modules exporting a function
+ * @returns {*} the data, or a Promise of it if a data module computes it asynchronously
+ */
+function loadFile(dataFilesPath, fsDep, config) {
+  if (dataFilesPath) {
+    const dataFile = findFile(dataFilesPath);
+
+    if (dataFile && fsDep.existsSync(path.resolve(dataFile))) {
+      return readFile(dataFile, fsDep, config);
     }
   }
 
@@ -33,16 +275,18 @@ function loadFile(dataFilesPath, fsDep) {
 }
 
 /**
- * Loads a set of config files from a folder, in yaml/json format.
+ * Loads a set of config files from a folder, in yaml/json/js format.
  *
  * @param dataFilesPath - leave off the file extension
  * @param excludeFileNames - leave off the file extension
  * @param fsDep
- * @returns Object, with merged data files, empty object if no files.
+ * @param config - the patternlab config, passed on to data modules exporting a function
+ * @returns Object, with merged data files, empty object if no files. A Promise of it if a data
+ * module computes its data asynchronously.
  */
-function loadDataFromFolder(dataFilesPath, excludeFileNames, fsDep) {
-  const dataFilesFullPath = dataFilesPath + '*.{json,yml,yaml}',
-    excludeFullPath = dataFilesPath + excludeFileNames + '.{json,yml,yaml}';
+function loadDataFromFolder(dataFilesPath, excludeFileNames, fsDep, config) {
+  const dataFilesFullPath = dataFilesPath + '*.' + dataFileExtensions,
+    excludeFullPath = dataFilesPath + excludeFileNames + '.' + dataFileExtensions;
 
   const globOptions = {};
   if (excludeFileNames) {
@@ -50,24 +294,21 @@ function loadDataFromFolder(dataFilesPath, excludeFileNames, fsDep) {
   }
 
   const dataFiles = glob.sync(dataFilesFullPath, globOptions);
-  let mergeObject = {};
-
-  dataFiles.forEach(function (filePath) {
-    try {
-      const jsonData = yaml.safeLoad(fsDep.readFileSync(path.resolve(filePath), 'utf8'));
-      mergeObject = _.merge(mergeObject, jsonData);
-    }
-    catch (err) {
-      throw new Error(`Error loading file: ${filePath} - ${err.message}`);
-    }
-  });
+  const allData = dataFiles.map(filePath => readFile(filePath, fsDep, config));
 
-  return mergeObject;
+  //merge in the order of the files, whether or not they are computed asynchronously
+  const mergeAll = loaded => loaded.reduce((mergeObject, data) => _.merge(mergeObject, data), {});
+  return allData.some(isPromise) ? Promise.all(allData).then(mergeAll) : mergeAll(allData);
 }
 
 module.exports = function configFileLoader() {
   return {
+    findDataFile: findFile,
+    findRefFile: findRefFile,
+    findReferencedFiles: findReferencedFiles,
+    isDataModule: isDataModule,
     loadDataFromFile: loadFile,
-    loadDataFromFolder: loadDataFromFolder
+    loadDataFromFolder: loadDataFromFolder,
+    resolveReferences: resolveReferences
   };
 };
@@ -0,0 +1,468 @@
+"use strict";
+
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const url = require('url');
+const crypto = require('crypto');
+const child_process = require('child_process');
+const fs = require('fs-extra');
+const plutils = require('./utilities');
+
+const clientRoute = '/__patternlab/reload.js';
+const socketRoute = '/__patternlab/socket';
+const clientScript = `<script src="${clientRoute}"></script>`;
+
+// Defined by RFC 6455 to compute the Sec-WebSocket-Accept header
+const webSocketGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Clients only send control frames, whose payload is at most 125 bytes, so anything larger is
+// not a frame of the reload client
+const maxFrameLength = 64 * 1024;
+
+const Opcode = {
+  TEXT: 1,
+  CLOSE: 8,
+  PING: 9,
+  PONG: 10
+};
+
+const mimeTypes = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'application/javascript',
+  '.json': 'application/json',
+  '.map': 'application/json',
+  '.xml': 'application/xml',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.mustache': 'text/plain',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.mp3': 'audio/mpeg',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * Encodes an unfragmented, unmasked WebSocket frame, as sent by servers.
+ *
+ * @param {number} opcode One of {@link Opcode}
+ * @param {Buffer} payload
+ * @return {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([128 + opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.from([128 + opcode, 126, 0, 0]);
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.from([128 + opcode, 127, 0, 0, 0, 0, 0, 0, 0, 0]);
+    header.writeUInt32BE(payload.length, 6);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decodes the complete WebSocket frames at the start of a buffer, as sent by clients. Fragmented
+ * messages are not supported, as clients only send control frames to this server.
+ *
+ * @param {Buffer} buffer
+ * @param {function} onFrame Invoked with the opcode and the unmasked payload of each frame
+ * @return {Buffer} The remainder of an incomplete frame at the end of the buffer
+ * @throws {Error} If a frame is longer than maxFrameLength
+ */
+function decodeFrames(buffer, onFrame) {
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] % 16;
+    const masked = buffer[offset + 1] >= 128;
+    let length = buffer[offset + 1] % 128;
+    let headerLength = 2;
+
+    if (length === 126) {
+      headerLength = 4;
+      length = buffer.length - offset >= headerLength ? buffer.readUInt16BE(offset + 2) : 0;
+    } else if (length === 127) {
+      headerLength = 10;
+      if (buffer.length - offset >= headerLength && buffer.readUInt32BE(offset + 2) !== 0) {
+        throw new Error('The WebSocket frame is too large.');
+      }
+      length = buffer.length - offset >= headerLength ? buffer.readUInt32BE(offset + 6) : 0;
+    }
+    if (length > maxFrameLength) {
+      throw new Error('The WebSocket frame is too large.');
+    }
+
+    const maskOffset = offset + headerLength;
+    const payloadOffset = maskOffset + (masked ? 4 : 0);
+    if (buffer.length - offset < headerLength || buffer.length < payloadOffset + length) {
+      break;
+    }
+
+    const payload = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) {
+      const mask = masked ? buffer[maskOffset + i % 4] : 0;
+      payload[i] = buffer[payloadOffset + i] ^ mask; // eslint-disable-line no-bitwise
+    }
+    onFrame(opcode, payload);
+    offset = payloadOffset + length;
+  }
+  return buffer.slice(offset);
+}
+
+/**
+ * Reads the key and certificate files of the https option.
+ *
+ * @param {object|string} httpsOption Either an object with the paths of the key and cert files
+ * and, optionally, a passphrase, or the path of a module exporting the options of https.createServer
+ * @return {object} The options for https.createServer
+ */
+function loadHttpsOptions(httpsOption) {
+  if (typeof httpsOption === 'string') {
+    return require(path.resolve(httpsOption));
+  }
+  const httpsOptions = Object.assign({}, httpsOption);
+  ['key', 'cert', 'ca', 'pfx'].forEach(key => {
+    if (typeof httpsOptions[key] === 'string') {
+      httpsOptions[key] = fs.readFileSync(path.resolve(httpsOptions[key]));
+    }
+  });
+  return httpsOptions;
+}
+
+/**
+ * Opens a URL in the default browser of the platform.
+ *
+ * @param {string} target
+ */
+function openBrowser(target) {
+  const commands = {
+    darwin: ['open', [target]],
+    win32: ['cmd', ['/c', 'start', '""', target.replace(/&/g, '^&')]]
+  };
+  const command = commands[process.platform] || ['xdg-open', [target]];
+  try {
+    const child = child_process.spawn(command[0], command[1], {detached: true, stdio: 'ignore'});
+    child.on('error', () => plutils.warning(`Could not open a browser, please open ${target} yourself.`));
+    child.unref();
+  } catch (err) {
+    plutils.warning(`Could not open a browser, please open ${target} yourself.`);
+  }
+}
+
+/**
+ * A small development server for the public directory. It injects a client script into every HTML
+ * page, which connects back over a WebSocket to reload the page or swap its stylesheets when told
+ * so by {@link DevServer#broadcast}.
+ *
+ * @param {object} options
+ * @param {string} options.root The directory to serve
+ * @param {string} [options.host] Defaults to localhost. Use 0.0.0.0 to serve on all interfaces, e.g. for other devices.
+ * @param {number} [options.port] Defaults to 8080. If it is taken, a free port is used instead.
+ * @param {object|string} [options.https] See {@link loadHttpsOptions}
+ * @param {boolean|string} [options.open] Whether to open a browser, or the path to open
+ * @param {string} [options.file] Served for requests of files which do not exist
+ * @param {Array<function>} [options.middleware] Connect-style middleware handling requests first
+ * @param {number} [options.logLevel] 2 logs every request, anything below only errors
+ * @constructor
+ */
+const DevServer = function (options) {
+  this.options = Object.assign({
+    host: 'localhost',
+    port: 8080,
+    open: false,
+    logLevel: 0,
+    middleware: []
+  }, options);
+  this.root = path.resolve(this.options.root);
+  this.url = null;
+  this.clients = new Set();
+  this.connections = new Set();
+  this.httpServer = null;
+};
+
+DevServer.prototype = {
+
+  /**
+   * @return {Promise} Resolved with this server once it is listening
+   */
+  start: function () {
+    const handler = (req, res) => this.handleRequest(req, res);
+    this.httpServer = this.options.https ?
+      https.createServer(loadHttpsOptions(this.options.https), handler) :
+      http.createServer(handler);
+
+    this.httpServer.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+    this.httpServer.on('connection', socket => {
+      this.connections.add(socket);
+      socket.on('close', () => this.connections.delete(socket));
+    });
+
+    return this.listen(this.options.port).then(port => {
+      const protocol = this.options.https ? 'https' : 'http';
+      const host = this.options.host === '0.0.0.0' || this.options.host === '::' ? 'localhost' : this.options.host;
+      this.url = `${protocol}://${host}:${port}`;
+
+      console.log(`Pattern Lab is serving ${this.root} at ${this.url}`);
+      if (this.options.open) {
+        openBrowser(this.url + (typeof this.options.open === 'string' ? '/' + this.options.open.replace(/^\//, '') : ''));
+      }
+      return this;
+    });
+  },
+
+  /**
+   * @param {number} port
+   * @return {Promise} Resolved with the port listened on
+   */
+  listen: function (port) {
+    return new Promise((resolve, reject) => {
+      // whichever event comes first removes the listener of the other
+      const listeners = {
+        listening: () => {
+          this.httpServer.removeListener('error', listeners.error);
+          resolve(this.httpServer.address().port);
+        },
+        error: err => {
+          this.httpServer.removeListener('listening', listeners.listening);
+          if (err.code === 'EADDRINUSE' && port !== 0) {
+            plutils.warning(`Port ${port} is already in use, using a random free port instead.`);
+            resolve(this.listen(0));
+          } else {
+            reject(err);
+          }
+        }
+      };
+      this.httpServer.once('error', listeners.error);
+      this.httpServer.once('listening', listeners.listening);
+      this.httpServer.listen(port, this.options.host);
+    });
+  },
+
+  /**
+   * Sends a message to all pages connected to this server.
+   *
+   * @param {object} message {type: 'css'} swaps the stylesheets of all pages. {type: 'reload'}
+   * reloads all top level pages, or with paths, e.g. ['/patterns/foo/foo.html'], only the pages
+   * showing these paths, also in iframes.
+   */
+  broadcast: function (message) {
+    const frame = encodeFrame(Opcode.TEXT, Buffer.from(JSON.stringify(message)));
+    this.clients.forEach(socket => socket.write(frame));
+  },
+
+  /**
+   * Stops accepting requests and closes all connections.
+   *
+   * @return {Promise} Resolved when the server is closed
+   */
+  close: function () {
+    return new Promise(resolve => {
+      if (!this.httpServer || !this.httpServer.listening) {
+        resolve();
+        return;
+      }
+      this.httpServer.close(() => resolve());
+
+      // pages are told to close their WebSocket before the connection is closed
+      this.clients.forEach(socket => socket.end(encodeFrame(Opcode.CLOSE, Buffer.alloc(0)), () => socket.destroy()));
+      this.connections.forEach(socket => {
+        if (!this.clients.has(socket)) {
+          socket.destroy();
+        }
+      });
+      this.clients.clear();
+    });
+  },
+
+  handleRequest: function (req, res) {
+    if (this.options.logLevel >= 2) {
+      console.log(`${req.method} ${req.url}`);
+    }
+    const middleware = [].concat(this.options.middleware);
+
+    // middleware may call next later, with an error, or return a promise rejecting
+    const next = err => {
+      if (err) {
+        this.failRequest(req, res, err);
+        return;
+      }
+      const handler = middleware.shift();
+      try {
+        const result = handler ? handler(req, res, next) : this.serveStatic(req, res);
+        if (result && typeof result.then === 'function') {
+          result.then(null, failure => this.failRequest(req, res, failure));
+        }
+      } catch (failure) {
+        this.failRequest(req, res, failure);
+      }
+    };
+    next();
+  },
+
+  /**
+   * Answers a request which failed unexpectedly with 500, unless the response was started already.
+   *
+   * @param req
+   * @param res
+   * @param {Error} err
+   */
+  failRequest: function (req, res, err) {
+    const message = err instanceof Error ? err.message : String(err);
+    plutils.error(`Error serving ${req.url}: ${message}`);
+    if (res.headersSent) {
+      res.end();
+    } else {
+      this.sendText(res, 500, message);
+    }
+  },
+
+  sendText: function (res, status, text) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end(text);
+  },
+
+  serveStatic: function (req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      this.sendText(res, 405, 'Method Not Allowed');
+      return;
+    }
+
+    const pathname = url.parse(req.url).pathname;
+    if (pathname === clientRoute) {
+      this.sendFile(req, res, path.join(__dirname, 'dev_server_client.js'));
+      return;
+    }
+
+    let decodedPath;
+    try {
+      decodedPath = decodeURIComponent(pathname);
+    } catch (err) {
+      this.sendText(res, 400, 'Bad Request');
+      return;
+    }
+
+    // never serve anything outside of the root
+    const file = path.join(this.root, path.normalize(decodedPath));
+    if (file !== this.root && file.indexOf(this.root + path.sep) !== 0) {
+      this.sendText(res, 403, 'Forbidden');
+      return;
+    }
+
+    fs.stat(file, (err, stats) => {
+      // errors thrown here would not reach handleRequest
+      try {
+        if (!err && stats.isDirectory()) {
+          if (pathname[pathname.length - 1] !== '/') {
+            res.statusCode = 301;
+            res.setHeader('Location', pathname + '/' + (url.parse(req.url).search || ''));
+            res.end();
+            return;
+          }
+          this.serveStatic({method: req.method, url: pathname + 'index.html'}, res);
+          return;
+        }
+        if (err || !stats.isFile()) {
+          if (this.options.file && !req.isFallback) {
+            this.serveStatic({method: req.method, url: '/' + this.options.file, isFallback: true}, res);
+          } else {
+            this.sendText(res, 404, 'Not Found');
+          }
+          return;
+        }
+        this.sendFile(req, res, file);
+      } catch (failure) {
+        this.failRequest(req, res, failure);
+      }
+    });
+  },
+
+  sendFile: function (req, res, file) {
+    const ext = path.extname(file).toLowerCase();
+    const contentType = mimeTypes[ext] || 'application/octet-stream';
+    const isHtml = contentType === 'text/html';
+    const isText = /^text\/|javascript|json|xml/.test(contentType);
+
+    fs.readFile(file, (err, content) => {
+      if (err) {
+        plutils.error(`Error serving ${file}: ${err.message}`);
+        this.sendText(res, 500, err.message);
+        return;
+      }
+      const body = isHtml ? Buffer.from(this.injectClient(content.toString('utf8'))) : content;
+      res.statusCode = 200;
+      res.setHeader('Content-Type', contentType + (isText ? '; charset=utf-8' : ''));
+      res.setHeader('Content-Length', body.length);
+      res.setHeader('Cache-Control', 'no-cache');
+      res.end(req.method === 'HEAD' ? undefined : body);
+    });
+  },
+
+  /**
+   * @param {string} html
+   * @return {string} The html with the reload client script added before the end of the body
+   */
+  injectClient: function (html) {
+    const bodyEnd = html.search(/<\/body>(?![\s\S]*<\/body>)/i);
+    return bodyEnd > -1 ? html.slice(0, bodyEnd) + clientScript + html.slice(bodyEnd) : html + clientScript;
+  },
+
+  handleUpgrade: function (req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if (url.parse(req.url).pathname !== socketRoute || !key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + webSocketGuid).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Sec-WebSocket-Accept: ' + accept,
+      '',
+      ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    this.clients.add(socket);
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', chunk => {
+      try {
+        pending = decodeFrames(Buffer.concat([pending, chunk]), (opcode, payload) => {
+          if (opcode === Opcode.CLOSE) {
+            this.clients.delete(socket);
+            socket.end(encodeFrame(Opcode.CLOSE, payload));
+          } else if (opcode === Opcode.PING) {
+            socket.write(encodeFrame(Opcode.PONG, payload));
+          }
+        });
+      } catch (err) {
+        plutils.warning(`Closing a connection of the reload client: ${err.message}`);
+        this.clients.delete(socket);
+        socket.destroy();
+      }
+    });
+    socket.on('close', () => this.clients.delete(socket));
+    socket.on('error', () => this.clients.delete(socket));
+  }
+};
+
+module.exports = DevServer;
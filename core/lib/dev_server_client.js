@@ -0,0 +1,74 @@
+/* eslint-env browser */
+
+/**
+ * Injected into every page served by dev_server.js. Reloads the page or swaps its stylesheets
+ * when told so over the WebSocket of the dev server, see DevServer#broadcast.
+ */
+(function () {
+  'use strict';
+
+  var socketUrl = (location.protocol === 'https:' ? 'wss://' : 'ws://') + location.host + '/__patternlab/socket';
+  var reconnectDelay = 1000;
+  var scrollKey = 'patternlab-reload-scroll:' + location.pathname;
+
+  // keep the place in long pages like view all pages across reloads
+  function reload() {
+    try {
+      sessionStorage.setItem(scrollKey, String(window.pageYOffset));
+    } catch (err) {
+      // storage may be disabled, the page is reloaded nevertheless
+    }
+    location.reload();
+  }
+
+  function restoreScrollPosition() {
+    var scrollY = null;
+    try {
+      scrollY = sessionStorage.getItem(scrollKey);
+      sessionStorage.removeItem(scrollKey);
+    } catch (err) {
+      // storage may be disabled
+    }
+    if (scrollY !== null) {
+      window.addEventListener('load', function () {
+        window.scrollTo(0, Number(scrollY));
+      });
+    }
+  }
+
+  function reloadStylesheets() {
+    var links = document.querySelectorAll('link[rel="stylesheet"]');
+    Array.prototype.forEach.call(links, function (link) {
+      var href = link.href.replace(/[?&]plReload=\d+$/, '');
+      link.href = href + (href.indexOf('?') > -1 ? '&' : '?') + 'plReload=' + Date.now();
+    });
+  }
+
+  function handleMessage(message) {
+    if (message.type === 'css') {
+      reloadStylesheets();
+    } else if (message.type === 'reload') {
+
+      // pages in iframes only reload themselves when they are listed, anything else reloads the whole window
+      var listed = message.paths ? message.paths.indexOf(location.pathname) > -1 : window === window.top;
+      if (listed) {
+        reload();
+      }
+    }
+  }
+
+  function connect() {
+    var socket = new WebSocket(socketUrl);
+    socket.onmessage = function (event) {
+      handleMessage(JSON.parse(event.data));
+    };
+
+    // reconnect when the server is restarted
+    socket.onclose = function () {
+      setTimeout(connect, reconnectDelay);
+    };
+  }
+
+  restoreScrollPosition();
+  connect();
+})();
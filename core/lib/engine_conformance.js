@@ -0,0 +1,147 @@
+"use strict";
+const Pattern = require('./object_factory').Pattern;
+
+const eol = '\n';
+const requiredFunctions = ['renderPattern', 'findPartials', 'findPartialsWithStyleModifiers',
+  'findPartialsWithPatternParameters', 'findListItems', 'findPartial'];
+
+/**
+ * Registers tap tests checking that a PatternEngine fulfils the contract Pattern Lab relies on, for engine
+ * authors to run in the test suite of their engine:
+ *
+ *   const tap = require('tap');
+ *   const conformance = require('@pattern-lab/patternlab-node/core/lib/engine_conformance');
+ *   conformance(tap, require('../lib/engine_mustache'), {
+ *     template: 'Hello {{ subject }}!',
+ *     data: {subject: 'world'},
+ *     expected: 'Hello world!',
+ *     partial: '{{> atoms-foo }}',
+ *     verbosePartial: '{{> 00-atoms/00-global/00-foo }}',
+ *     partialWithStyleModifier: '{{> atoms-foo:bar }}',
+ *     partialWithPatternParameters: '{{> atoms-foo(subject: "you") }}',
+ *     listItems: '{{#listItems.three}}{{ title }}{{/listItems.three}}'
+ *   });
+ *
+ * @param tap The tap module, or anything providing test(name, fn) with tap's equals, same, ok and end
+ * @param {object} engine The engine module
+ * @param {object} fixtures Templates in the syntax of the engine, including the pattern atoms-foo
+ * (00-atoms/00-global/00-foo) whose template is fixtures.template:
+ * @param {string} fixtures.template A template rendering fixtures.data to fixtures.expected
+ * @param {object} fixtures.data
+ * @param {string} fixtures.expected
+ * @param {string} fixtures.partial An include of atoms-foo
+ * @param {string} [fixtures.verbosePartial] An include of atoms-foo by its path
+ * @param {string} [fixtures.partialWithStyleModifier] An include of atoms-foo with the style modifier bar,
+ * if the engine supports style modifiers
+ * @param {string} [fixtures.partialWithPatternParameters] An include of atoms-foo with pattern parameters,
+ * if the engine supports pattern parameters
+ * @param {string} [fixtures.listItems] A listItems block
+ */
+const engine_conformance = (tap, engine, fixtures) => {
+
+  const name = engine.engineName || 'PatternEngine';
+  const extensions = [].concat(engine.engineFileExtension);
+  const includes = [fixtures.partial, fixtures.verbosePartial, fixtures.partialWithStyleModifier,
+    fixtures.partialWithPatternParameters].filter(include => include);
+
+  function createPattern(relPath, template) {
+    return Pattern.create(relPath + extensions[0], null, {
+      template: template,
+      extendedTemplate: template,
+      engine: engine
+    });
+  }
+
+  // engines may render synchronously, or return a Promise
+  function render(pattern) {
+    return new Promise(resolve => resolve(engine.renderPattern(pattern, fixtures.data)));
+  }
+
+  // the finders return null or an empty array if nothing was found
+  function found(results) {
+    return results === null ? [] : results;
+  }
+
+  tap.test(`${name} engine - exposes the properties and functions of a PatternEngine`, function (test) {
+    test.ok(typeof engine.engineName === 'string' && engine.engineName.length > 0, 'engineName is a string');
+    test.ok(extensions.length > 0 && extensions.every(ext => typeof ext === 'string' && /^\.[^.]+/.test(ext)),
+      'engineFileExtension is an extension starting with a dot, or an array of them');
+    test.equals(typeof engine.expandPartials, 'boolean', 'expandPartials is a boolean');
+    requiredFunctions.forEach(fn => {
+      test.equals(typeof engine[fn], 'function', `${fn} is a function`);
+    });
+    ['registerPartial', 'usePatternLabConfig', 'spawnMeta'].filter(fn => engine[fn] !== undefined).forEach(fn => {
+      test.equals(typeof engine[fn], 'function', `${fn} is a function if present`);
+    });
+    if (!engine.expandPartials) {
+      test.equals(typeof engine.registerPartial, 'function',
+        'registerPartial is a function, as includes are not expanded by Pattern Lab');
+    }
+    test.end();
+  });
+
+  tap.test(`${name} engine - renders patterns with data`, function (test) {
+    const pattern = createPattern('00-atoms/00-global/00-foo', fixtures.template);
+    pattern.registerPartial();
+
+    render(pattern).then(html => {
+      test.equals(html, fixtures.expected);
+      test.end();
+    }).catch(test.threw);
+  });
+
+  tap.test(`${name} engine - renders included patterns`, function (test) {
+    // Pattern Lab registers every pattern, then expands includes into the extended template if the engine
+    // asks for it, so an engine expanding partials must render the extended template
+    const partialPattern = createPattern('00-atoms/00-global/00-foo', fixtures.template);
+    const pattern = createPattern('00-molecules/00-global/00-bar', `[${fixtures.partial}]`);
+    partialPattern.registerPartial();
+    pattern.registerPartial();
+    if (engine.expandPartials) {
+      pattern.extendedTemplate = pattern.template.replace(fixtures.partial, partialPattern.extendedTemplate);
+    }
+
+    render(pattern).then(html => {
+      test.equals(html, `[${fixtures.expected}]`);
+      test.end();
+    }).catch(test.threw);
+  });
+
+  tap.test(`${name} engine - finds includes and the patterns they include`, function (test) {
+    const pattern = createPattern('00-molecules/00-global/00-bar', includes.join(eol));
+    const plainPattern = createPattern('00-molecules/00-global/00-baz', fixtures.template);
+
+    test.same(found(engine.findPartials(pattern)), includes, 'findPartials finds all includes in order');
+    test.same(found(engine.findPartials(plainPattern)), [], 'findPartials finds nothing without includes');
+    includes.forEach(include => {
+      const expected = include === fixtures.verbosePartial ? '00-atoms/00-global/00-foo' : 'atoms-foo';
+      test.equals(engine.findPartial(include), expected, `findPartial finds the pattern of ${include}`);
+    });
+    test.end();
+  });
+
+  tap.test(`${name} engine - finds includes with style modifiers and pattern parameters`, function (test) {
+    const pattern = createPattern('00-molecules/00-global/00-bar', includes.join(eol));
+    const withStyleModifiers = [fixtures.partialWithStyleModifier].filter(include => include);
+    const withPatternParameters = [fixtures.partialWithPatternParameters].filter(include => include);
+
+    test.same(found(engine.findPartialsWithStyleModifiers(pattern)), withStyleModifiers,
+      'findPartialsWithStyleModifiers finds only includes with style modifiers');
+    test.same(found(engine.findPartialsWithPatternParameters(pattern)), withPatternParameters,
+      'findPartialsWithPatternParameters finds only includes with pattern parameters');
+    test.end();
+  });
+
+  tap.test(`${name} engine - finds listItems blocks`, function (test) {
+    const plainPattern = createPattern('00-molecules/00-global/00-baz', fixtures.template);
+    if (fixtures.listItems) {
+      const pattern = createPattern('00-molecules/00-global/00-bar', fixtures.listItems);
+      test.equals(found(engine.findListItems(pattern)).length, 1, 'findListItems finds the block');
+    }
+
+    test.same(found(engine.findListItems(plainPattern)), [], 'findListItems finds nothing without blocks');
+    test.end();
+  });
+};
+
+module.exports = engine_conformance;
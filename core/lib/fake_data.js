@@ -0,0 +1,192 @@
+"use strict";
+
+const _ = require('lodash');
+
+/**
+ * Generates fake data offline and reproducibly, so that data files and list items can be large
+ * without being written by hand. Data files declare what to generate with an object like
+ * {"$fake": "person.name", "count": 12, "seed": 42}, which data_loader.js replaces by the
+ * generated data.
+ *
+ * $fake names a generator, or is an object of generator names and nested declarations to generate
+ * objects of that shape. With a count, an array of that many values is generated. Other keys are
+ * options of the generator, e.g. {"$fake": "commerce.price", "min": 5, "max": 50}. The same seed
+ * always generates the same data. Without a seed, a declaration is seeded by its location within
+ * the data, so that it generates the same data each time it is loaded.
+ */
+const fake_data = function () {
+
+  const fakeKey = '$fake';
+  const reservedKeys = [fakeKey, 'count', 'seed'];
+
+  const firstNames = ['Ada', 'Alan', 'Amara', 'Ben', 'Carla', 'Chen', 'Dana', 'Diego', 'Elena', 'Emeka', 'Farah', 'Grace', 'Hana', 'Ivan', 'Jonas', 'Kiri', 'Lena', 'Luis', 'Maya', 'Nils', 'Noor', 'Omar', 'Priya', 'Rosa', 'Sam', 'Sofia', 'Tariq', 'Uma', 'Yuki', 'Zoe'];
+  const lastNames = ['Abara', 'Berg', 'Castillo', 'Dubois', 'Eriksen', 'Fischer', 'Garcia', 'Haddad', 'Ito', 'Jensen', 'Kowalski', 'Larsen', 'Moreau', 'Nakamura', 'Okafor', 'Petrov', 'Quinn', 'Rossi', 'Singh', 'Tanaka', 'Urban', 'Varga', 'Walsh', 'Xu', 'Yilmaz', 'Zimmermann'];
+  const words = ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim', 'ad', 'minim', 'veniam', 'quis', 'nostrud', 'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip', 'ex', 'ea', 'commodo', 'consequat', 'duis', 'aute', 'irure', 'in', 'reprehenderit', 'voluptate', 'velit', 'esse', 'cillum', 'fugiat', 'nulla', 'pariatur', 'excepteur', 'sint', 'occaecat', 'cupidatat', 'non', 'proident', 'sunt', 'culpa', 'qui', 'officia', 'deserunt', 'mollit', 'anim', 'id', 'est', 'laborum'];
+  const colors = ['#d8d8d8', '#c6dbe9', '#d9e7cf', '#f2e2c4', '#ead0d9', '#ddd5ec'];
+
+  /**
+   * @param {number|string} seed
+   * @return {function} Returns pseudo-random numbers in [0, 1), the same sequence for the same seed
+   */
+  function createRandom(seed) {
+    const modulus = 2147483647;
+    const text = String(seed);
+    let state = 0;
+    for (let i = 0; i < text.length; i++) {
+      state = (state * 31 + text.charCodeAt(i)) % modulus;
+    }
+    state = state || 1;
+
+    // the minimal standard Lehmer generator
+    const next = () => {
+      state = state * 48271 % modulus;
+      return (state - 1) / (modulus - 1);
+    };
+
+    //skip the first numbers, which are close together for similar seeds
+    _.times(3, next);
+    return next;
+  }
+
+  function orDefault(value, defaultValue) {
+    return value === undefined || value === null ? defaultValue : value;
+  }
+
+  function integer(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+  }
+
+  function pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+  }
+
+  function sentence(random, options) {
+    const count = options.words || integer(random, 6, 14);
+    const text = _.times(count, () => pick(random, words)).join(' ');
+    return text.charAt(0).toUpperCase() + text.substring(1) + '.';
+  }
+
+  function paragraph(random, options) {
+    const count = options.sentences || integer(random, 3, 6);
+    return _.times(count, () => sentence(random, {})).join(' ');
+  }
+
+  function pad(number) {
+    return number < 10 ? '0' + number : String(number);
+  }
+
+  // The generators, each receiving a random number generator and the options of the declaration
+  const generators = {
+    'person.firstName': random => pick(random, firstNames),
+    'person.lastName': random => pick(random, lastNames),
+    'person.name': random => pick(random, firstNames) + ' ' + pick(random, lastNames),
+    'internet.email': random => `${pick(random, firstNames)}.${pick(random, lastNames)}@example.com`.toLowerCase(),
+    'lorem.word': random => pick(random, words),
+    'lorem.words': (random, options) => _.times(options.words || 3, () => pick(random, words)).join(' '),
+    'lorem.sentence': sentence,
+    'lorem.paragraph': paragraph,
+    'number.integer': (random, options) => integer(random, orDefault(options.min, 0), orDefault(options.max, 100)),
+    'commerce.price': (random, options) => {
+      const cents = integer(random, orDefault(options.min, 1) * 100, orDefault(options.max, 100) * 100);
+      return orDefault(options.currency, '$') + (cents / 100).toFixed(2);
+    },
+    'date.date': (random, options) => {
+      const from = Date.parse(options.from || '2000-01-01');
+      const to = Date.parse(options.to || '2020-12-31');
+      const date = new Date(from + Math.floor(random() * (to - from + 1)));
+      return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    },
+    'image.placeholder': (random, options) => {
+      const width = options.width || 640;
+      const height = options.height || 480;
+      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+        `<rect width="100%" height="100%" fill="${pick(random, colors)}"/></svg>`;
+      return {
+        src: 'data:image/svg+xml,' + encodeURIComponent(svg),
+        alt: `Placeholder image, ${width} by ${height}`
+      };
+    }
+  };
+
+  function isDeclaration(value) {
+    return _.isPlainObject(value) && Object.prototype.hasOwnProperty.call(value, fakeKey);
+  }
+
+  /**
+   * @param {object} declaration
+   * @param {function} random
+   * @return {*} The generated data
+   */
+  function generateWith(declaration, random) {
+    const shape = declaration[fakeKey];
+    const options = _.omit(declaration, reservedKeys);
+    const generateOne = () => {
+      if (typeof shape === 'string') {
+        if (!generators.hasOwnProperty(shape)) {
+          throw new Error(`"${shape}" is not a ${fakeKey} generator, which are ${Object.keys(generators).join(', ')}`);
+        }
+        return generators[shape](random, options);
+      }
+      if (_.isPlainObject(shape)) {
+        return _.mapValues(shape, value => generateWith(isDeclaration(value) ? value : {[fakeKey]: value}, random));
+      }
+      throw new Error(`${fakeKey} must name a generator or be an object of them, not ${JSON.stringify(shape)}`);
+    };
+
+    if (declaration.count === undefined) {
+      return generateOne();
+    }
+    if (!(declaration.count >= 0) || declaration.count % 1 !== 0) {
+      throw new Error(`the count of ${fakeKey} must be a whole number, not ${JSON.stringify(declaration.count)}`);
+    }
+    return _.times(declaration.count, generateOne);
+  }
+
+  /**
+   * @param {object} declaration e.g. {"$fake": "person.name", "count": 12, "seed": 42}
+   * @param {number|string} [defaultSeed] The seed used if the declaration has none
+   * @return {*} The generated data
+   */
+  function generate(declaration, defaultSeed) {
+    const seed = orDefault(declaration.seed, orDefault(defaultSeed, 0));
+    return generateWith(declaration, createRandom(seed));
+  }
+
+  /**
+   * Replaces each $fake declaration within data by the data it generates.
+   *
+   * @param data
+   * @return {*} The data, with generated data in place of the declarations
+   */
+  function resolve(data) {
+    function resolveValue(value, pointer) {
+      if (Array.isArray(value)) {
+        return value.map((item, index) => resolveValue(item, pointer + '/' + index));
+      }
+      if (!_.isPlainObject(value)) {
+        return value;
+      }
+      if (isDeclaration(value)) {
+        try {
+          return generate(value, pointer);
+        } catch (err) {
+          throw new Error(`Error generating ${fakeKey} data at #${pointer}: ${err.message}`);
+        }
+      }
+      return _.mapValues(value, (item, key) => resolveValue(item, pointer + '/' + key));
+    }
+
+    return resolveValue(data, '');
+  }
+
+  return {
+    generate: function (declaration, defaultSeed) {
+      return generate(declaration, defaultSeed);
+    },
+    resolve: function (data) {
+      return resolve(data);
+    }
+  };
+};
+
+module.exports = fake_data;
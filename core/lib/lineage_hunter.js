@@ -17,7 +17,7 @@ const lineage_hunter = function () {
     if (matches !== null) {
       matches.forEach(function (match) {
         //get the ancestorPattern
-        const ancestorPattern = pattern_assembler.getPartial(pattern.findPartial(match), patternlab);
+        const ancestorPattern = pattern_assembler.getPartial(pattern.findPartial(match), patternlab, pattern);
 
         if (ancestorPattern && pattern.lineageIndex.indexOf(ancestorPattern.patternPartial) === -1) {
           //add it since it didnt exist
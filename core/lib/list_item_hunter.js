@@ -7,9 +7,13 @@ const list_item_hunter = function () {
   const smh = require('./style_modifier_hunter');
   const jsonCopy = require('./json_copy');
   const Pattern = require('./object_factory').Pattern;
+  const ch = require('./changes_hunter');
+  const cep = require('./cross_engine_partials');
 
   const pattern_assembler = new pa();
+  const cross_engine_partials = new cep();
   const style_modifier_hunter = new smh();
+  const changes_hunter = new ch();
   const items = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty'];
 
   function processListItemPartials(pattern, patternlab) {
@@ -48,6 +52,7 @@ const list_item_hunter = function () {
         }
 
         listData = _.merge(listData, pattern.listitems);
+        changes_hunter.recordDataKey(pattern, 'listitems');
         listData = pattern_assembler.parse_data_links_specific(patternlab, listData, 'listitems.json + any pattern listitems.json');
 
         //iterate over each copied block, rendering its contents along with pattenlab.listitems[i]
@@ -71,6 +76,7 @@ const list_item_hunter = function () {
           let allData = _.merge(globalData, localData);
           allData = _.merge(allData, itemData !== undefined ? itemData[i] : {}); //itemData could be undefined if the listblock contains no partial, just markup
           allData.link = extend({}, patternlab.data.link);
+          allData = changes_hunter.trackDataKeys(pattern, allData, patternlab);
 
           //check for partials within the repeated block
           const foundPartials = Pattern.createEmpty({'template': thisBlockTemplate}).findPartials();
@@ -81,7 +87,18 @@ const list_item_hunter = function () {
 
               //get the partial
               const partialName = foundPartials[j].match(/([\w\-\.\/~]+)/g)[0];
-              const partialPattern = pattern_assembler.getPartial(partialName, patternlab);
+              const partialPattern = pattern_assembler.getPartial(partialName, patternlab, pattern);
+
+              //a pattern of another engine is rendered by its own engine with the item once this pattern is rendered
+              if (cross_engine_partials.is_cross_engine(pattern, partialPattern)) {
+                const placeholderData = Object.assign({}, itemData !== undefined ? itemData[i] : {});
+                const styleModifier = style_modifier_hunter.find_style_modifier(foundPartials[j]);
+                if (styleModifier) {
+                  placeholderData.styleModifier = styleModifier;
+                }
+                thisBlockTemplate = thisBlockTemplate.replace(foundPartials[j], cross_engine_partials.placeholder(partialPattern.patternPartial, placeholderData));
+                continue;
+              }
 
               //create a copy of the partial so as to not pollute it after the get_pattern_by_key call.
               let cleanPartialPattern;
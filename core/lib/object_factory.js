@@ -2,6 +2,9 @@
 const patternEngines = require('./pattern_engines');
 const path = require('path');
 const extend = require('util')._extend;
+const cep = require('./cross_engine_partials');
+
+const cross_engine_partials = new cep();
 
 // patternPrefixMatcher is intended to match the leading maybe-underscore,
 // zero or more digits, and maybe-dash at the beginning of a pattern file name we can hack them
@@ -88,12 +91,20 @@ const Pattern = function (relPath, data, patternlab) {
   this.compileState = null;
 
   /**
-   * Timestamp in milliseconds when the pattern template or auxilary file (e.g. json) were modified.
-   * If multiple files are affected, this is the timestamp of the most recent change.
+   * Content digest of the pattern template and its auxilary files (e.g. json, listitems, markdown).
+   * Compared to the digest stored in the serialized {@link PatternGraph} to detect changes.
    *
-   * @see {@link pattern}
+   * @see {@link ChangesHunter#checkContentDigest}
    */
-  this.lastModified = null;
+  this.digest = null;
+
+  /**
+   * The top-level keys of the global data (prefixed with 'data.') and 'listitems' this pattern read
+   * when it was rendered. Null if unknown, in which case any change to global data rebuilds it.
+   *
+   * @see {@link ChangesHunter#trackDataKeys}
+   */
+  this.dataKeys = null;
 
 };
 
@@ -111,9 +122,32 @@ Pattern.prototype = {
   },
 
   registerPartial: function () {
-    if (this.engine && typeof this.engine.registerPartial === 'function') {
+    if (!this.engine) {
+      return;
+    }
+    if (typeof this.engine.registerPartial === 'function') {
       this.engine.registerPartial(this);
     }
+
+    // other engines resolving partials by themselves at render time know this pattern by a
+    // placeholder, which pattern_renderer replaces with the markup of this pattern's engine.
+    // Engines sharing a registry with this pattern's engine already know it.
+    const placeholder = cross_engine_partials.placeholder(this.patternPartial);
+    patternEngines.getEngines()
+      .filter(engine => engine !== this.engine &&
+        !engine.expandPartials &&
+        typeof engine.registerPartial === 'function' &&
+        !(engine.engine && engine.engine === this.engine.engine))
+      .forEach(engine => {
+        engine.registerPartial({
+          relPath: this.relPath,
+          patternName: this.patternName,
+          patternPartial: this.patternPartial,
+          verbosePartial: this.verbosePartial,
+          template: placeholder,
+          extendedTemplate: placeholder
+        });
+      });
   },
 
   // calculated path from the root of the public directory to the generated html
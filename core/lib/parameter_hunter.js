@@ -6,8 +6,12 @@ const parameter_hunter = function () {
   const jsonCopy = require('./json_copy');
   const pa = require('./pattern_assembler');
   const smh = require('./style_modifier_hunter');
+  const ch = require('./changes_hunter');
+  const cep = require('./cross_engine_partials');
   const style_modifier_hunter = new smh();
+  const cross_engine_partials = new cep();
   const pattern_assembler = new pa();
+  const changes_hunter = new ch();
 
   /**
    * This function is really to accommodate the lax JSON-like syntax allowed by
@@ -251,10 +255,13 @@ const parameter_hunter = function () {
       pattern.parameteredPartials.forEach(function (pMatch) {
         //find the partial's name and retrieve it
         const partialName = pMatch.match(/([\w\-\.\/~]+)/g)[0];
-        const partialPattern = pattern_assembler.getPartial(partialName, patternlab);
+        const partialPattern = pattern_assembler.getPartial(partialName, patternlab, pattern);
+        const crossEngine = cross_engine_partials.is_cross_engine(pattern, partialPattern);
 
         //if we retrieved a pattern we should make sure that its extendedTemplate is reset. looks to fix #190
-        partialPattern.extendedTemplate = partialPattern.template;
+        if (!crossEngine) {
+          partialPattern.extendedTemplate = partialPattern.template;
+        }
 
         if (patternlab.config.debug) {
           console.log('found patternParameters for ' + partialName);
@@ -282,6 +289,17 @@ const parameter_hunter = function () {
         // resolve any pattern links that might be present
         paramData = pattern_assembler.parse_data_links_specific(patternlab, paramData, pattern.patternPartial);
 
+        //a pattern of another engine is rendered by its own engine with the parameters once this pattern is rendered
+        if (crossEngine) {
+          const styleModifier = style_modifier_hunter.find_style_modifier(pMatch.substring(0, leftParen));
+          if (styleModifier) {
+            paramData.styleModifier = styleModifier;
+          }
+          pattern.extendedTemplate = pattern.extendedTemplate.replace(pMatch, cross_engine_partials.placeholder(partialPattern.patternPartial, paramData));
+          patternlab.partials[pattern.patternPartial] = pattern.extendedTemplate;
+          return;
+        }
+
         //combine all data: GLOBAL DATA => PATTERN.JSON DATA => PARAMETER DATA
         let allData = _.merge(globalData, localData);
         allData = _.merge(allData, paramData);
@@ -297,6 +315,8 @@ const parameter_hunter = function () {
         //extend pattern data links into link for pattern link shortcuts to work. we do this locally and globally
         allData.link = extend({}, patternlab.data.link);
 
+        allData = changes_hunter.trackDataKeys(pattern, allData, patternlab);
+
         const renderedPartial = pattern_assembler.renderPattern(partialPattern.extendedTemplate, allData, patternlab.partials);
 
         //remove the parameter from the partial and replace it with the rendered partial + paramData
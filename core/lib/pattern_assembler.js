@@ -7,25 +7,42 @@ const CompileState = require('./object_factory').CompileState;
 const pph = require('./pseudopattern_hunter');
 const mp = require('./markdown_parser');
 const plutils = require('./utilities');
+const BuildReport = require('./build_report').BuildReport;
+const WarningType = require('./build_report').WarningType;
 const patternEngines = require('./pattern_engines');
 const lh = require('./lineage_hunter');
 const lih = require('./list_item_hunter');
 const smh = require('./style_modifier_hunter');
 const ph = require('./parameter_hunter');
 const ch = require('./changes_hunter');
+const cep = require('./cross_engine_partials');
 const jsonCopy = require('./json_copy');
 const da = require('./data_loader');
 const markdown_parser = new mp();
+const cross_engine_partials = new cep();
 const changes_hunter = new ch();
 const dataLoader = new da();
 
 //this is mocked in unit tests
 let fs = require('fs-extra'); //eslint-disable-line prefer-const
 
+// The data of patterns which data modules compute asynchronously, awaited by processPatternIterative()
+const pendingData = new WeakMap();
+
+// The graph nodes of the last build of patterns whose build state is checked once their data is computed
+const previousNodes = new WeakMap();
+
 const pattern_assembler = function () {
   // HELPER FUNCTIONS
 
-  function getPartial(partialName, patternlab) {
+  /**
+   * @param {string} partialName
+   * @param patternlab
+   * @param {Pattern} [includingPattern] The pattern including the partial, named in the warning if
+   * it cannot be found
+   * @return {Pattern|undefined}
+   */
+  function getPartial(partialName, patternlab, includingPattern) {
     //look for exact partial matches
     for (var i = 0; i < patternlab.patterns.length; i++) {
       if (patternlab.patterns[i].patternPartial === partialName) {
@@ -52,11 +69,84 @@ const pattern_assembler = function () {
         return patternlab.patterns[i];
       }
     }
-    plutils.warning('Could not find pattern referenced with partial syntax ' + partialName + '. This can occur when a pattern was renamed, moved, or no longer exists but it still called within a different template somewhere.');
+    const includedIn = includingPattern ? ' in ' + includingPattern.relPath : '';
+    const message = 'Could not find pattern referenced with partial syntax ' + partialName + includedIn + '. This can occur when a pattern was renamed, moved, or no longer exists but it still called within a different template somewhere.';
+
+    //a partial is looked up once per lookup of the including pattern, so report it just once
+    if (BuildReport.addWarning(patternlab, WarningType.MISSING_PARTIAL, message, includingPattern)) {
+      plutils.warning(message);
+    }
     return undefined;
   }
 
+  /**
+   * Hands data loaded for a pattern to use, right away or once a data module computed it
+   * asynchronously, before the pattern is processed.
+   *
+   * @param {Pattern} pattern
+   * @param {*} data The data, a Promise of it or null if there is none
+   * @param {function} use
+   * @param {function} onError Invoked if a data module fails to compute the data asynchronously
+   */
+  function useData(pattern, data, use, onError) {
+    if (data && typeof data.then === 'function') {
+      const pending = pendingData.get(pattern) || [];
+      pending.push(data.then(loaded => {
+        if (loaded) {
+          use(loaded);
+        }
+      }, onError));
+      pendingData.set(pattern, pending);
+    } else if (data) {
+      use(data);
+    }
+  }
+
+  /**
+   * @param {Pattern} pattern
+   * @param patternlab
+   * @return {Array<string>} The paths of the data files shared by the pattern type and subtype of
+   * the pattern, e.g. _patterns/00-atoms/_data and _patterns/00-atoms/00-global/_data, leaving off
+   * the file extension
+   */
+  function getGroupDataPaths(pattern, patternlab) {
+    const patternsPath = patternlab.config.paths.source.patterns;
+    const dirs = pattern.subdir ? pattern.subdir.split(/[\\/]/) : [];
+    return dirs.map((dir, i) => path.resolve(patternsPath, dirs.slice(0, i + 1).join('/'), '_data'));
+  }
+
+  /**
+   * Merges layers of data in order, once data modules computed their data asynchronously.
+   *
+   * @param {Array} layers The data, Promises of it or null
+   * @return {*} The merged data, a Promise of it or null if no layer has data
+   */
+  function mergeDataLayers(layers) {
+    const merge = loaded => loaded.some(data => data) ? loaded.reduce((merged, data) => _.merge(merged, data), {}) : null;
+    return layers.some(data => data && typeof data.then === 'function') ? Promise.all(layers).then(merge) : merge(layers);
+  }
+
+  /**
+   * @param {Pattern} pattern
+   * @param patternlab
+   * @return {string} The path of the file holding the schema of the data of the pattern, declared
+   * by its frontmatter or next to it, see pattern_data_validator.js
+   */
+  function findSchemaFile(pattern, patternlab) {
+    const patternPath = path.resolve(patternlab.config.paths.source.patterns, pattern.subdir, pattern.fileName);
+    const frontmatterSchema = pattern.allMarkdown && pattern.allMarkdown.schema;
+    if (typeof frontmatterSchema === 'string') {
+      return dataLoader.findRefFile(frontmatterSchema, patternPath + '.md', patternlab.config);
+    }
+    return patternPath + '.schema.json';
+  }
+
   function buildListItems(container) {
+    //list items generated by a $fake declaration are an array rather than numbered entries
+    if (Array.isArray(container.listitems)) {
+      container.listitems = _.zipObject(_.range(1, container.listitems.length + 1), container.listitems);
+    }
+
     //combine all list items into one structure
     var list = [];
     for (var item in container.listitems) {
@@ -130,13 +220,14 @@ const pattern_assembler = function () {
   // Render a pattern on request. Long-term, this should probably go away.
   function renderPattern(pattern, data, partials) {
     // if we've been passed a full Pattern, it knows what kind of template it
-    // is, and how to render itself, so we just call its render method
+    // is, and how to render itself, so we just call its render method. Its
+    // engine may return a Promise of the markup instead of the markup itself.
     if (pattern instanceof Pattern) {
       return pattern.render(data, partials);
     } else {
       // otherwise, assume it's a plain mustache template string, and we
       // therefore just need to create a dummpy pattern to be able to render
-      // it
+      // it, synchronously
       var dummyPattern = Pattern.createEmpty({extendedTemplate: pattern});
       return patternEngines.mustache.renderPattern(dummyPattern, data, partials);
     }
@@ -146,7 +237,7 @@ const pattern_assembler = function () {
 
     try {
       var markdownFileName = path.resolve(patternlab.config.paths.source.patterns, currentPattern.subdir, currentPattern.fileName + ".md");
-      changes_hunter.checkLastModified(currentPattern, markdownFileName);
+      changes_hunter.checkContentDigest(currentPattern, markdownFileName);
 
       var markdownFileContents = fs.readFileSync(markdownFileName, 'utf8');
 
@@ -257,6 +348,7 @@ const pattern_assembler = function () {
       plutils.warning('While Pattern Lab may still function, assets may 404 and frontend links may break. Consider yourself warned. ');
       plutils.warning('Read More: http://patternlab.io/docs/pattern-organization.html');
       console.log('');
+      BuildReport.addWarning(patternlab, WarningType.DEEP_NESTING, 'A pattern file: ' + relPath + ' was found greater than 2 levels deep from ' + patternlab.config.paths.source.patterns + '.');
     }
 
     //check if the found file is a top-level markdown file
@@ -309,39 +401,48 @@ const pattern_assembler = function () {
       return currentPattern;
     }
 
-    //look for a json file for this template
+    //look for a json file for this template, merged over the data shared by its pattern type and subtype
+    const reportDataError = err => {
+      console.log('There was an error parsing sibling JSON for ' + currentPattern.relPath);
+      console.log(err);
+      BuildReport.addWarning(patternlab, WarningType.INVALID_JSON, 'There was an error parsing sibling JSON: ' + err.message, currentPattern);
+    };
+    const jsonFilename = path.resolve(patternsPath, currentPattern.subdir, currentPattern.fileName);
+    const groupDataPaths = getGroupDataPaths(currentPattern, patternlab);
     try {
-      var jsonFilename = path.resolve(patternsPath, currentPattern.subdir, currentPattern.fileName);
-      const configData = dataLoader.loadDataFromFile(jsonFilename, fs);
+      const configData = groupDataPaths.concat(jsonFilename).map(dataPath => dataLoader.loadDataFromFile(dataPath, fs, patternlab.config));
 
-      if (configData) {
-        currentPattern.jsonFileData = configData;
+      useData(currentPattern, mergeDataLayers(configData), loadedData => {
+        currentPattern.jsonFileData = loadedData;
         if (patternlab.config.debug) {
           console.log('processPatternIterative: found pattern-specific config data for ' + currentPattern.patternPartial);
         }
-      }
+      }, reportDataError);
     }
     catch (err) {
-      console.log('There was an error parsing sibling JSON for ' + currentPattern.relPath);
-      console.log(err);
+      reportDataError(err);
     }
 
     //look for a listitems.json file for this template
+    const reportListItemsError = err => {
+      console.log('There was an error parsing sibling listitem JSON for ' + currentPattern.relPath);
+      console.log(err);
+      BuildReport.addWarning(patternlab, WarningType.INVALID_JSON, 'There was an error parsing sibling listitem JSON: ' + err.message, currentPattern);
+    };
+    const listJsonFileName = path.resolve(patternsPath, currentPattern.subdir, currentPattern.fileName + ".listitems");
     try {
-      var listJsonFileName = path.resolve(patternsPath, currentPattern.subdir, currentPattern.fileName + ".listitems");
-      const listItemsConfig = dataLoader.loadDataFromFile(listJsonFileName, fs);
+      const listItemsConfig = dataLoader.loadDataFromFile(listJsonFileName, fs, patternlab.config);
 
-      if (listItemsConfig) {
-        currentPattern.listitems = listItemsConfig;
+      useData(currentPattern, listItemsConfig, loadedListItems => {
+        currentPattern.listitems = loadedListItems;
         buildListItems(currentPattern);
         if (patternlab.config.debug) {
           console.log('found pattern-specific listitems config for ' + currentPattern.patternPartial);
         }
-      }
+      }, reportListItemsError);
     }
     catch (err) {
-      console.log('There was an error parsing sibling listitem JSON for ' + currentPattern.relPath);
-      console.log(err);
+      reportListItemsError(err);
     }
 
     //look for a markdown file for this template
@@ -358,11 +459,25 @@ const pattern_assembler = function () {
     //find any pattern parameters that may be in the current pattern
     currentPattern.parameteredPartials = currentPattern.findPartialsWithPatternParameters();
 
-    [templatePath, jsonFilename, listJsonFileName].forEach(file => {
-      changes_hunter.checkLastModified(currentPattern, file);
-    });
-
-    changes_hunter.checkBuildState(currentPattern, patternlab);
+    //the files referenced by its data and its schema are part of the pattern, so that changing them rebuilds it
+    const dataFiles = groupDataPaths.concat(jsonFilename, listJsonFileName).map(dataLoader.findDataFile);
+    [templatePath]
+      .concat(dataFiles)
+      .concat(_.flatMap(dataFiles, dataLoader.findReferencedFiles))
+      .concat(findSchemaFile(currentPattern, patternlab))
+      .forEach(file => {
+        changes_hunter.checkContentDigest(currentPattern, file);
+      });
+
+    //data computed by modules is part of the pattern as well, so it is checked once it is computed
+    if (!dataFiles.some(file => file && dataLoader.isDataModule(file))) {
+      changes_hunter.checkBuildState(currentPattern, patternlab);
+    } else if (pendingData.has(currentPattern)) {
+      previousNodes.set(currentPattern, Object.assign({}, patternlab.graph.node(currentPattern)));
+    } else {
+      changes_hunter.checkComputedDataDigest(currentPattern);
+      changes_hunter.checkBuildState(currentPattern, patternlab);
+    }
 
     //add currentPattern to patternlab.patterns array
     addPattern(currentPattern, patternlab);
@@ -370,12 +485,40 @@ const pattern_assembler = function () {
     return currentPattern;
   }
 
+  /**
+   * Checks the build state of a pattern once data modules computed its data asynchronously. The
+   * pattern was added to the graph meanwhile, so its node is compared as it was in the last build,
+   * and then updated.
+   *
+   * @param {Pattern} pattern
+   * @param patternlab
+   */
+  function checkComputedBuildState(pattern, patternlab) {
+    const node = patternlab.graph.node(pattern);
+    delete node.digest;
+    delete node.dataKeys;
+    Object.assign(node, previousNodes.get(pattern));
+    previousNodes.delete(pattern);
+
+    changes_hunter.checkComputedDataDigest(pattern);
+    changes_hunter.checkBuildState(pattern, patternlab);
+    node.digest = pattern.digest;
+  }
+
   // This is now solely for analysis; loading of the pattern file is
   // above, in loadPatternIterative()
   function processPatternIterative(pattern, patternlab) {
+    const pending = pendingData.get(pattern) || [];
+    pendingData.delete(pattern);
+
     //look for a pseudo pattern by checking if there is a file
     //containing same name, with ~ in it, ending in .json
-    return pph.find_pseudopatterns(pattern, patternlab).then(() => {
+    return Promise.all(pending).then(() => {
+      if (previousNodes.has(pattern)) {
+        checkComputedBuildState(pattern, patternlab);
+      }
+      return pph.find_pseudopatterns(pattern, patternlab);
+    }).then(() => {
       //find any stylemodifiers that may be in the current pattern
       pattern.stylePartials = pattern.findPartialsWithStyleModifiers();
 
@@ -411,10 +554,9 @@ const pattern_assembler = function () {
    * Finds patterns that were modified and need to be rebuilt. For clean patterns load the already
    * rendered markup.
    *
-   * @param lastModified
    * @param patternlab
    */
-  function markModifiedPatterns(lastModified, patternlab) {
+  function markModifiedPatterns(patternlab) {
     /**
      * If the given array exists, apply a function to each of its elements
      * @param {Array} array
@@ -427,7 +569,7 @@ const pattern_assembler = function () {
     };
     const modifiedOrNot = _.groupBy(
       patternlab.patterns,
-      p => changes_hunter.needsRebuild(lastModified, p) ? 'modified' : 'notModified');
+      p => changes_hunter.needsRebuild(p) ? 'modified' : 'notModified');
 
     // For all unmodified patterns load their rendered template output
     forEachExisting(modifiedOrNot.notModified, cleanPattern => {
@@ -474,7 +616,16 @@ const pattern_assembler = function () {
 
       //complete assembly of extended template
       //create a copy of the partial so as to not pollute it after the getPartial call.
-      var partialPattern = getPartial(partial, patternlab);
+      var partialPattern = getPartial(partial, patternlab, currentPattern);
+
+      //a pattern of another engine is rendered by its own engine once this pattern is rendered
+      if (cross_engine_partials.is_cross_engine(currentPattern, partialPattern)) {
+        var styleModifier = style_modifier_hunter.find_style_modifier(foundPatternPartials[i]);
+        var placeholder = cross_engine_partials.placeholder(partialPattern.patternPartial, styleModifier ? {styleModifier: styleModifier} : null);
+        currentPattern.extendedTemplate = currentPattern.extendedTemplate.replace(foundPatternPartials[i], placeholder);
+        continue;
+      }
+
       var cleanPartialPattern = jsonCopy(partialPattern, `partial pattern ${partial}`);
 
       //if partial has style modifier data, replace the styleModifier value
@@ -536,6 +687,7 @@ const pattern_assembler = function () {
     } catch (err) {
       console.log('There was an error parsing JSON for ' + key);
       console.log(err);
+      BuildReport.addWarning(patternlab, WarningType.INVALID_JSON, 'There was an error parsing JSON for ' + key + ': ' + err.message);
     }
 
     return dataObj;
@@ -555,8 +707,8 @@ const pattern_assembler = function () {
   }
 
   return {
-    mark_modified_patterns: function (lastModified, patternlab) {
-      return markModifiedPatterns(lastModified, patternlab);
+    mark_modified_patterns: function (patternlab) {
+      return markModifiedPatterns(patternlab);
     },
     find_pattern_partials: function (pattern) {
       return pattern.findPartials();
@@ -591,8 +743,8 @@ const pattern_assembler = function () {
     process_pattern_recursive: function (file, patternlab, additionalData) {
       processPatternRecursive(file, patternlab, additionalData);
     },
-    getPartial: function (partial, patternlab) {
-      return getPartial(partial, patternlab);
+    getPartial: function (partial, patternlab, includingPattern) {
+      return getPartial(partial, patternlab, includingPattern);
     },
     combine_listItems: function (patternlab) {
       buildListItems(patternlab);
@@ -0,0 +1,108 @@
+"use strict";
+
+const path = require('path');
+const fs = require('fs-extra');
+const sv = require('./schema_validator');
+const da = require('./data_loader');
+const plutils = require('./utilities');
+const BuildReport = require('./build_report').BuildReport;
+const WarningType = require('./build_report').WarningType;
+
+/**
+ * Validates the data of patterns against the JSON Schema they declare, in a sibling
+ * <pattern>.schema.json or by the schema key of their markdown frontmatter. The key holds a schema,
+ * or the path of one, found like the path of a $ref in data files, see data_loader.js.
+ * Only the data of the pattern is validated, not the global data it is rendered with, so that
+ * schemas may forbid additional keys. Pseudopatterns are validated against the schema of their base
+ * pattern, with the data merged from both. Schemas may use the keywords schema_validator.js
+ * supports, others are warned about once per build.
+ */
+const pattern_data_validator = function () {
+
+  const schema_validator = new sv();
+  const dataLoader = new da();
+
+  /**
+   * @param {Pattern} pattern
+   * @param patternlab
+   * @return {object|null} The schema the pattern declares, if any
+   */
+  function findSchema(pattern, patternlab) {
+    const patternsPath = patternlab.config.paths.source.patterns;
+    const frontmatterSchema = pattern.allMarkdown && pattern.allMarkdown.schema;
+
+    if (frontmatterSchema) {
+      const markdownFile = path.resolve(patternsPath, pattern.subdir, pattern.fileName + '.md');
+      const schema = typeof frontmatterSchema === 'string' ? {$ref: frontmatterSchema} : frontmatterSchema;
+      return dataLoader.resolveReferences(schema, markdownFile, fs, patternlab.config);
+    }
+
+    const schemaFile = path.resolve(patternsPath, pattern.subdir, pattern.fileName + '.schema.json');
+    if (fs.existsSync(schemaFile)) {
+      return dataLoader.resolveReferences(fs.readJSONSync(schemaFile), schemaFile, fs, patternlab.config);
+    }
+    return null;
+  }
+
+  /**
+   * Reports each violation of a schema as a warning of the pattern or pseudopattern whose data
+   * violates it.
+   *
+   * @param {Array<Pattern>} patterns
+   * @param patternlab
+   * @return {number} The number of violations found
+   */
+  function validatePatterns(patterns, patternlab) {
+    const schemas = new Map();
+    const unsupportedKeywords = new Set();
+    const report = (message, pattern) => {
+      plutils.warning(`${pattern.patternPartial}: ${message}`);
+      BuildReport.addWarning(patternlab, WarningType.INVALID_DATA, message, pattern);
+    };
+    const schemaOf = pattern => {
+      const declaringPattern = pattern.isPseudoPattern ? pattern.basePattern : pattern;
+      if (!schemas.has(declaringPattern)) {
+        let schema = null;
+        try {
+          schema = findSchema(declaringPattern, patternlab);
+        } catch (err) {
+          report(`The data schema could not be loaded: ${err.message}`, declaringPattern);
+        }
+        if (schema) {
+          schema_validator.find_unsupported_keywords(schema)
+            .filter(keyword => !unsupportedKeywords.has(keyword))
+            .forEach(keyword => {
+              unsupportedKeywords.add(keyword);
+              plutils.warning(`${declaringPattern.patternPartial}: The data schema uses the keyword ${keyword}, which is not supported and therefore not checked.`);
+            });
+        }
+        schemas.set(declaringPattern, schema);
+      }
+      return schemas.get(declaringPattern);
+    };
+
+    let violations = 0;
+    patterns.filter(pattern => pattern.isPattern && pattern.engine).forEach(pattern => {
+      const schema = schemaOf(pattern);
+      if (!schema) {
+        return;
+      }
+      schema_validator.validate(pattern.jsonFileData, schema).forEach(problem => {
+        violations++;
+        report(`The data does not match the schema: ${problem.message}`, pattern);
+      });
+    });
+    return violations;
+  }
+
+  return {
+    find_schema: function (pattern, patternlab) {
+      return findSchema(pattern, patternlab);
+    },
+    validate_patterns: function (patterns, patternlab) {
+      return validatePatterns(patterns, patternlab);
+    }
+  };
+};
+
+module.exports = pattern_data_validator;
@@ -1,8 +1,10 @@
 // special shoutout to Geoffrey Pursell for single-handedly making Pattern Lab Node Pattern Engines possible!
 'use strict';
 const path = require('path');
+const fs = require('fs');
 const diveSync = require('diveSync');
 const chalk = require('chalk');
+const plutils = require('./utilities');
 const engineMatcher = /^patternengine-node-(.*)$/;
 const enginesDirectories = [
   {
@@ -15,6 +17,48 @@ const enginesDirectories = [
   }
 ];
 
+// When several engines claim the same file extension, the one registered the most
+// explicitly wins: added by code, then configured, then discovered in node_modules.
+// Among equals, the one registered first wins.
+const EnginePriority = {
+  DISCOVERED: 0,
+  CONFIGURED: 1,
+  ADDED: 2
+};
+
+// how each engine was registered, by engine name: its priority and the module
+// path it was loaded from, if any, so render workers can load it as well
+const registrations = new Map();
+
+// the rules of config.engineMapping, assigning engines to file extensions and
+// directories of the pattern tree, see getEngineNameForPattern, and the patterns
+// source directory their paths are compared to
+let engineMapping = [];
+let patternsDirectory = process.cwd();
+
+// what was warned about already, to warn only once per file extension or engine
+const warnings = new Set();
+
+function warnOnce(key, message) {
+  if (!warnings.has(key)) {
+    warnings.add(key);
+    plutils.warning(message);
+  }
+}
+
+// whether a rule of config.engineMapping applies to a pattern: its extension is
+// the one of the rule, and it is in the directory of the rule, which is relative
+// to the working directory like all paths of the config
+function matchesRule(rule, pattern) {
+  if (rule.extension && rule.extension !== pattern.fileExtension) {
+    return false;
+  }
+  if (rule.path) {
+    return path.resolve(patternsDirectory, pattern.relPath).indexOf(path.resolve(rule.path) + path.sep) === 0;
+  }
+  return true;
+}
+
 // given a path: return the engine name if the path points to a valid engine
 // module directory, or false if it doesn't
 function isEngineModule(filePath) {
@@ -45,6 +89,21 @@ function findEngineModulesInDirectory(dir) {
   return foundEngines;
 }
 
+// given a module path from the config or addEngine(): resolve local paths against
+// the working directory, and prefer packages installed there, which covers
+// editions, before node's own lookup from core, which covers hoisted packages
+function resolveEngineModule(modulePath) {
+  if (path.isAbsolute(modulePath) || modulePath.charAt(0) === '.') {
+    return path.resolve(process.cwd(), modulePath);
+  }
+  const installedPath = path.join(process.cwd(), 'node_modules', modulePath);
+  return fs.existsSync(installedPath) ? installedPath : modulePath;
+}
+
+function getExtensions(engine) {
+  return [].concat(engine.engineFileExtension);
+}
+
 //
 // PatternEngines: the main export of this module
 //
@@ -65,6 +124,21 @@ const PatternEngines = Object.create({
   loadAllEngines: function (patternLabConfig) {
     var self = this;
 
+    engineMapping = patternLabConfig.engineMapping || [];
+    if (patternLabConfig.paths) {
+      patternsDirectory = path.resolve(patternLabConfig.paths.source.patterns);
+    }
+
+    // engines named in the config come first, so discovered ones of the same
+    // name are skipped below
+    const configuredEngines = patternLabConfig.engines || {};
+    Object.keys(configuredEngines).forEach(function (engineName) {
+      const registration = registrations.get(engineName);
+      if (!self[engineName] || !registration || registration.modulePath !== resolveEngineModule(configuredEngines[engineName])) {
+        self.registerEngine(engineName, configuredEngines[engineName], EnginePriority.CONFIGURED, patternLabConfig);
+      }
+    });
+
     // Try to load engines! We scan for engines at each path specified above. This
     // function is kind of a big deal.
     enginesDirectories.forEach(function (engineDirectory) {
@@ -90,13 +164,7 @@ const PatternEngines = Object.create({
           if (self[engineDiscovery.name]) {
             throw new Error("already loaded, skipping.");
           }
-          self[engineDiscovery.name] = require(engineDiscovery.modulePath);
-          if (typeof self[engineDiscovery.name].usePatternLabConfig === 'function') {
-            self[engineDiscovery.name].usePatternLabConfig(patternLabConfig);
-          }
-          if (typeof self[engineDiscovery.name].spawnMeta === 'function') {
-            self[engineDiscovery.name].spawnMeta(patternLabConfig);
-          }
+          self.registerEngine(engineDiscovery.name, engineDiscovery.modulePath, EnginePriority.DISCOVERED, patternLabConfig);
         } catch (err) {
           errorMessage = err.message;
         } finally {
@@ -118,25 +186,120 @@ const PatternEngines = Object.create({
     }
   },
 
+  /**
+   * Registers an engine explicitly, in addition to those found in node_modules.
+   * It takes precedence over configured and discovered engines claiming the same
+   * file extensions, and replaces an engine of the same name.
+   *
+   * @param {string} engineName the name to register the engine by, e.g. 'nunjucks'
+   * @param {object|string} engine the engine, or the path of its module: a package
+   * name, which may be scoped, or a path relative to the working directory
+   * @param {object} [patternLabConfig] passed on to the engine
+   */
+  addEngine: function (engineName, engine, patternLabConfig) {
+    this.registerEngine(engineName, engine, EnginePriority.ADDED, patternLabConfig || {});
+  },
+
+  registerEngine: function (engineName, engineOrModulePath, priority, patternLabConfig) {
+    if (typeof engineName !== 'string' || !engineName) {
+      throw new Error('A pattern engine must be registered by a name.');
+    }
+
+    let engine = engineOrModulePath;
+    let modulePath = null;
+    if (typeof engineOrModulePath === 'string') {
+      modulePath = resolveEngineModule(engineOrModulePath);
+      try {
+        engine = require(modulePath);
+      } catch (err) {
+        throw new Error(`Could not load the pattern engine "${engineName}" from ${engineOrModulePath}: ${err.message}`);
+      }
+    }
+    if (!engine || typeof engine.renderPattern !== 'function') {
+      throw new Error(`The pattern engine "${engineName}" does not have a renderPattern function.`);
+    }
+
+    this[engineName] = engine;
+    registrations.set(engineName, {priority: priority, modulePath: modulePath});
+    if (typeof engine.usePatternLabConfig === 'function') {
+      engine.usePatternLabConfig(patternLabConfig);
+    }
+    if (typeof engine.spawnMeta === 'function') {
+      engine.spawnMeta(patternLabConfig);
+    }
+
+    getExtensions(engine).forEach(extension => {
+      const claimants = this.getEngineNamesForExtension(extension);
+      if (claimants.length > 1) {
+        plutils.warning(`The pattern engines ${claimants.join(', ')} all support ${extension}, ${claimants[0]} will render these patterns.`);
+      }
+    });
+  },
+
+  /**
+   * @param {string} extension e.g. '.mustache'
+   * @return {Array<string>} the names of the engines supporting the extension, the one used first
+   */
+  getEngineNamesForExtension: function (extension) {
+    const engineNames = Object.keys(this).filter(engineName => getExtensions(this[engineName]).indexOf(extension) > -1);
+    const priorityOf = engineName => registrations.has(engineName) ? registrations.get(engineName).priority : EnginePriority.DISCOVERED;
+
+    // sort stably, by priority first and the order of registration second
+    return engineNames
+      .map((engineName, index) => ({engineName: engineName, index: index}))
+      .sort((a, b) => priorityOf(b.engineName) - priorityOf(a.engineName) || a.index - b.index)
+      .map(entry => entry.engineName);
+  },
+
+  /**
+   * @param {object} engine
+   * @return {string|undefined} the name the engine is registered by
+   */
+  getEngineName: function (engine) {
+    return Object.keys(this).find(engineName => this[engineName] === engine);
+  },
+
+  /**
+   * @return {Array<object>} the engines configured, discovered or added by addEngine(), leaving
+   * out anything else set on this object
+   */
+  getEngines: function () {
+    return Object.keys(this)
+      .filter(engineName => registrations.has(engineName))
+      .map(engineName => this[engineName]);
+  },
+
+  /**
+   * @return {Array<{engineName: string, modulePath: string}>} the engines added by addEngine(),
+   * with the module path to load them again from, or null if they were added as objects
+   */
+  getAddedEngines: function () {
+    return Object.keys(this)
+      .filter(engineName => registrations.has(engineName) && registrations.get(engineName).priority === EnginePriority.ADDED)
+      .map(engineName => ({engineName: engineName, modulePath: registrations.get(engineName).modulePath}));
+  },
+
   getEngineNameForPattern: function (pattern) {
     // avoid circular dependency by putting this in here. TODO: is this slow?
     const of = require('./object_factory');
     if (pattern instanceof of.Pattern && typeof pattern.fileExtension === 'string' && pattern.fileExtension) {
-      //loop through known engines and find the one that supports the pattern's fileExtension
-      const engineNames = Object.keys(this);
-      for (let i = 0; i < engineNames.length; i++) {
-        const engine = this[engineNames[i]];
-
-        if (Array.isArray(engine.engineFileExtension)) {
-          if (engine.engineFileExtension.includes(pattern.fileExtension)) {
-            return engine.engineName;
-          }
-        } else {
-          //this likely means the users engines are out of date. todo: tell them to upgrade
-          if (engine.engineFileExtension === pattern.fileExtension) {
-            return engine.engineName;
-          }
+      //the first rule of config.engineMapping applying to the pattern decides, if its engine is loaded
+      const rules = engineMapping.filter(rule => matchesRule(rule, pattern));
+      for (let i = 0; i < rules.length; i++) {
+        if (this[rules[i].engine]) {
+          return rules[i].engine;
         }
+        warnOnce(`engine ${rules[i].engine}`, `config.engineMapping refers to the pattern engine ${rules[i].engine}, which is not loaded.`);
+      }
+
+      //otherwise find the engine that supports the pattern's fileExtension, by priority
+      const engineNames = this.getEngineNamesForExtension(pattern.fileExtension);
+      if (engineNames.length > 0) {
+        return engineNames[0];
+      }
+
+      if (this.isFileExtensionSupported(pattern.fileExtension)) {
+        warnOnce(`extension ${pattern.fileExtension}`, `No pattern engine renders ${pattern.relPath}, neither by its extension nor by config.engineMapping. Rendering ${pattern.fileExtension} patterns like this with mustache.`);
       }
     }
 
@@ -160,7 +323,15 @@ const PatternEngines = Object.create({
     const allEnginesExtensions = engineNames.map((engineName) => {
       return PatternEngines[engineName].engineFileExtension;
     });
-    return [].concat.apply([], allEnginesExtensions);
+    const extensions = [].concat.apply([], allEnginesExtensions);
+
+    // config.engineMapping may assign extensions to engines which don't support them themselves
+    engineMapping.forEach(rule => {
+      if (rule.extension && extensions.indexOf(rule.extension) === -1) {
+        extensions.push(rule.extension);
+      }
+    });
+    return extensions;
   },
 
   isFileExtensionSupported: function (fileExtension) {
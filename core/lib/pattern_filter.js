@@ -0,0 +1,86 @@
+"use strict";
+
+/**
+ * Selects patterns by a list of selectors, each being one of:
+ * - a glob matched against the pattern partial, e.g. molecules-* or *-button
+ * - group:<name>, matching the pattern group, e.g. group:molecules
+ * - subgroup:<name>, matching the pattern subgroup, e.g. subgroup:blocks
+ * - state:<name>, matching the pattern state, e.g. state:inprogress
+ */
+const pattern_filter = function () {
+
+  function escapeRegExp(s) {
+    return s.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function globToRegExp(glob) {
+    return new RegExp('^' + escapeRegExp(glob).replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+  }
+
+  /**
+   * @param {string} selector
+   * @return {function} A predicate taking a pattern
+   */
+  function parseSelector(selector) {
+    const separator = selector.indexOf(':');
+    const kind = separator > -1 ? selector.substring(0, separator) : null;
+    const value = separator > -1 ? selector.substring(separator + 1) : selector;
+
+    switch (kind) {
+      case 'group':
+        return p => p.patternGroup === value;
+      case 'subgroup':
+        return p => p.patternSubGroup === value;
+      case 'state':
+        return p => p.patternState === value;
+      case null: {
+        const re = globToRegExp(value);
+        return p => re.test(p.patternPartial);
+      }
+      default:
+        throw new Error(`Unknown pattern selector "${selector}", expected a pattern partial glob or one of group:, subgroup:, state:`);
+    }
+  }
+
+  /**
+   * @param {string|Array} selectors
+   * @return {function} A predicate taking a pattern, true if any of the selectors matches it
+   */
+  function compile(selectors) {
+    const predicates = [].concat(selectors).map(parseSelector);
+    return p => predicates.some(predicate => predicate(p));
+  }
+
+  /**
+   * Finds the patterns matching any of the selectors, plus all patterns they include, directly or
+   * indirectly, according to the pattern graph.
+   *
+   * @param {Array} patterns
+   * @param {string|Array} selectors
+   * @param {PatternGraph} graph
+   * @return {Set} The selected {@link Pattern}s
+   */
+  function select(patterns, selectors, graph) {
+    const matches = compile(selectors);
+    const selected = new Set();
+    const addWithDependencies = p => {
+      if (!selected.has(p)) {
+        selected.add(p);
+        graph.lineage(p).forEach(addWithDependencies);
+      }
+    };
+    patterns.filter(matches).forEach(addWithDependencies);
+    return selected;
+  }
+
+  return {
+    compile: function (selectors) {
+      return compile(selectors);
+    },
+    select: function (patterns, selectors, graph) {
+      return select(patterns, selectors, graph);
+    }
+  };
+};
+
+module.exports = pattern_filter;
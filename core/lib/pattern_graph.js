@@ -47,6 +47,10 @@ const PatternGraph = function (graph, timestamp, version) {
   this.patterns = new PatternRegistry();
   this.timestamp = timestamp || new Date().getTime();
   this.version = version || PATTERN_GRAPH_VERSION;
+
+  // Digests of each top-level key of the global data (and the listitems) the patterns were
+  // rendered with. Allows finding the global data that changed between builds.
+  this.dataDigests = {};
 };
 
 // shorthand. Use relPath as it is always unique, even with subPatternType
@@ -60,13 +64,30 @@ PatternGraph.prototype = {
    * For instance when a pattern is deleted or moved, it might still have a node from the serialized
    * JSON, but there is no source pattern.
    *
+   * Patterns which included a removed pattern are flagged via {@link CompileState.NEEDS_REBUILD},
+   * as their include is now broken.
+   *
+   * @param {function} [fn] Called with the name of each removed node and the array of
+   * {@link Pattern}s which included it, before the node is removed.
+   * @return {Array} The names of the removed nodes
+   *
    * @see {@link https://github.com/pattern-lab/patternlab-node/issues/580|Issue #580}
    */
-  sync: function () {
+  sync: function (fn) {
     // Remove any patterns that are in the graph data, but that haven't been discovered when
     // walking all patterns iteratively
     const nodesToRemove = this.nodes().filter(n => !this.patterns.has(n));
-    nodesToRemove.forEach(n => this.remove(n));
+    nodesToRemove.forEach(n => {
+      // Includers which were deleted as well are not known to the registry
+      const includers = this.lineageR(n).filter(p => p !== undefined);
+      includers.forEach(p => {
+        this.node(p).compileState = p.compileState = CompileState.NEEDS_REBUILD;
+      });
+      if (fn) {
+        fn(n, includers);
+      }
+      this.remove(n);
+    });
     return nodesToRemove;
   },
 
@@ -77,11 +98,14 @@ PatternGraph.prototype = {
   clone: function () {
     const json = graphlib.json.write(this.graph);
     const graph = graphlib.json.read(json);
-    return new PatternGraph(graph, this.timestamp, this.version);
+    const clone = new PatternGraph(graph, this.timestamp, this.version);
+    clone.dataDigests = Object.assign({}, this.dataDigests);
+    return clone;
   },
 
   /**
-   * Add a pattern to the graph and copy its {@link Pattern.compileState} to the node's data.
+   * Add a pattern to the graph and copy its {@link Pattern.compileState},
+   * {@link Pattern.digest} and {@link Pattern.dataKeys} to the node's data.
    * If the pattern is already known, nothing is done.
    *
    * @param {Pattern} pattern
@@ -89,9 +113,18 @@ PatternGraph.prototype = {
   add: function (pattern) {
     const n = nodeName(pattern);
     if (!this.patterns.has(n)) {
-      this.graph.setNode(n, {
+      const nodeData = {
         compileState: pattern.compileState
-      });
+      };
+
+      // Serialized with the graph, so the next build can tell if the pattern's sources changed
+      if (pattern.digest) {
+        nodeData.digest = pattern.digest;
+      }
+      if (pattern.dataKeys) {
+        nodeData.dataKeys = pattern.dataKeys;
+      }
+      this.graph.setNode(n, nodeData);
 
       this.patterns.put(pattern);
     }
@@ -103,6 +136,20 @@ PatternGraph.prototype = {
     this.patterns.remove(n);
   },
 
+  /**
+   * Prepares reloading a pattern: the pattern is removed from the registry and the edges to the
+   * patterns it includes are removed, as its includes might have changed. The node and the edges
+   * from the patterns including it are kept, so the reloaded pattern takes its place when it is
+   * {@link PatternGraph.add added}.
+   *
+   * @param {Pattern} pattern
+   */
+  forget: function (pattern) {
+    const n = nodeName(pattern);
+    (this.graph.outEdges(n) || []).forEach(e => this.graph.removeEdge(e));
+    this.patterns.remove(n);
+  },
+
   /**
    * Removes nodes from this graph for which the given predicate function returns false.
    * @param {function} fn which takes a node name as argument
@@ -205,6 +252,41 @@ PatternGraph.prototype = {
     return this.nodes2patterns(o);
   },
 
+  /**
+   * Partitions patterns into layers that can be compiled independently of each other.
+   * A pattern is placed in the layer after the last layer holding any of the given patterns it
+   * includes, so compiling the layers one after another keeps the order of {@link compileOrder}.
+   *
+   * @param {Array} patterns The {@link Pattern}s to compile, e.g. the result of {@link compileOrder}
+   * @return {Array} An Array of layers, each being an Array of {@link Pattern}s
+   */
+  compileLayers: function (patterns) {
+    const toCompile = new Set(patterns.map(nodeName));
+    const depths = new Map();
+    const depth = (n, visiting) => {
+      if (depths.has(n)) {
+        return depths.get(n);
+      }
+
+      // Guards against patterns (indirectly) including themselves
+      visiting.add(n);
+      const d = (this.graph.successors(n) || [])
+        .filter(m => toCompile.has(m) && !visiting.has(m))
+        .reduce((max, m) => Math.max(max, depth(m, visiting) + 1), 0);
+      visiting.delete(n);
+      depths.set(n, d);
+      return d;
+    };
+
+    const layers = [];
+    patterns.forEach(pattern => {
+      const d = depth(nodeName(pattern), new Set());
+      layers[d] = layers[d] || [];
+      layers[d].push(pattern);
+    });
+    return layers.filter(layer => layer !== undefined);
+  },
+
   /**
    * Given a node and its predecessor, allows exchanging states between nodes.
    * @param pattern
@@ -287,13 +369,14 @@ PatternGraph.prototype = {
 
   /**
    * Creates an object representing the graph and meta data.
-   * @returns {{timestamp: number, graph}}
+   * @returns {{timestamp: number, graph, dataDigests}}
    */
   toJson: function () {
     return {
       version: this.version,
       timestamp: this.timestamp,
-      graph: graphlib.json.write(this.graph)
+      graph: graphlib.json.write(this.graph),
+      dataDigests: this.dataDigests
     };
   },
 
@@ -351,7 +434,9 @@ PatternGraph.fromJson = function (o) {
     throw new VersionMismatch(o.version);
   }
   const graph = graphlib.json.read(o.graph);
-  return new PatternGraph(graph, o.timestamp, o.version);
+  const patternGraph = new PatternGraph(graph, o.timestamp, o.version);
+  patternGraph.dataDigests = o.dataDigests || {};
+  return patternGraph;
 };
 
 /**
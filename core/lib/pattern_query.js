@@ -0,0 +1,133 @@
+"use strict";
+
+const path = require('path');
+const glob = require('glob');
+const jsonCopy = require('./json_copy');
+
+/**
+ * Describes patterns as plain, serializable objects and finds them by a query of any of:
+ * - group: the pattern group, e.g. molecules
+ * - subgroup: the pattern subgroup, e.g. blocks
+ * - state: the pattern state, e.g. inprogress
+ * - tag: one of the tags from the markdown frontmatter of the pattern
+ * - text: found case-insensitively in the partial, name, description or tags
+ * Each one can be a single value or an array of values, of which any has to match.
+ */
+const pattern_query = function () {
+
+  const queryKeys = ['group', 'subgroup', 'state', 'tag', 'text'];
+
+  /**
+   * Tags may be given as a YAML list or a comma separated string.
+   *
+   * @param {Pattern} pattern
+   * @return {Array<string>}
+   */
+  function getTags(pattern) {
+    if (!pattern.tags) {
+      return [];
+    }
+    const tags = Array.isArray(pattern.tags) ? pattern.tags : String(pattern.tags).split(',');
+    return tags.map(tag => String(tag).trim()).filter(tag => tag);
+  }
+
+  /**
+   * @param {Pattern} pattern
+   * @param patternlab
+   * @return {Array<string>} The absolute paths of the template, data, listitems and markdown files
+   * of the pattern, or of the data and markdown files of a pseudopattern
+   */
+  function getFiles(pattern, patternlab) {
+    const patternsPath = patternlab.config.paths.source.patterns;
+    return glob.sync(pattern.subdir + '/' + pattern.fileName + '.*', {
+      cwd: patternsPath,
+      nodir: true
+    }).map(file => path.resolve(patternsPath, file));
+  }
+
+  /**
+   * @param {Pattern} pattern
+   * @param patternlab
+   * @return {object} A serializable descriptor of the pattern
+   */
+  function describe(pattern, patternlab) {
+    const templatePattern = pattern.isPseudoPattern ? pattern.basePattern : pattern;
+    const frontmatter = Object.assign({}, pattern.allMarkdown);
+    delete frontmatter.markdown;
+
+    return {
+      patternPartial: pattern.patternPartial,
+      name: pattern.patternName,
+      group: pattern.patternGroup,
+      subgroup: pattern.patternSubGroup,
+      state: pattern.patternState,
+      tags: getTags(pattern),
+      hidden: !!pattern.hidden,
+      isPseudoPattern: pattern.isPseudoPattern,
+      basePattern: pattern.isPseudoPattern ? pattern.basePattern.patternPartial : null,
+      lineage: pattern.lineageIndex.slice(),
+      lineageR: pattern.lineageRIndex.slice(),
+      data: jsonCopy(pattern.jsonFileData, `the data of ${pattern.patternPartial}`),
+      description: pattern.patternDesc || '',
+      frontmatter: jsonCopy(frontmatter, `the markdown frontmatter of ${pattern.patternPartial}`),
+      relPath: pattern.relPath,
+      template: path.resolve(patternlab.config.paths.source.patterns, templatePattern.relPath),
+      files: getFiles(pattern, patternlab),
+      patternLink: pattern.getPatternLink(patternlab, 'rendered')
+    };
+  }
+
+  function anyOf(values, matches) {
+    return [].concat(values).some(matches);
+  }
+
+  /**
+   * @param {object} [query]
+   * @return {function} A predicate taking a pattern descriptor
+   * @throws {Error} With the code UNKNOWN_QUERY_KEY for keys other than those in queryKeys
+   */
+  function compile(query) {
+    const q = query || {};
+    Object.keys(q).forEach(key => {
+      if (queryKeys.indexOf(key) === -1) {
+        const err = new Error(`Unknown pattern query key "${key}", expected one of ${queryKeys.join(', ')}`);
+        err.code = 'UNKNOWN_QUERY_KEY';
+        throw err;
+      }
+    });
+
+    return d => {
+      const text = [d.patternPartial, d.name, d.description].concat(d.tags).join('\n').toLowerCase();
+      return (q.group === undefined || anyOf(q.group, group => d.group === group)) &&
+        (q.subgroup === undefined || anyOf(q.subgroup, subgroup => d.subgroup === subgroup)) &&
+        (q.state === undefined || anyOf(q.state, state => d.state === state)) &&
+        (q.tag === undefined || anyOf(q.tag, tag => d.tags.indexOf(tag) > -1)) &&
+        (q.text === undefined || anyOf(q.text, t => text.indexOf(String(t).toLowerCase()) > -1));
+    };
+  }
+
+  /**
+   * @param {Array} patterns
+   * @param {object} [q] The query, matching all patterns if omitted
+   * @param patternlab
+   * @return {Array<object>} The descriptors of the matching patterns
+   */
+  function findPatterns(patterns, q, patternlab) {
+    const matches = compile(q);
+    return patterns
+      .filter(p => p.isPattern)
+      .map(p => describe(p, patternlab))
+      .filter(matches);
+  }
+
+  return {
+    describe: function (pattern, patternlab) {
+      return describe(pattern, patternlab);
+    },
+    query: function (patterns, q, patternlab) {
+      return findPatterns(patterns, q, patternlab);
+    }
+  };
+};
+
+module.exports = pattern_query;
@@ -0,0 +1,164 @@
+"use strict";
+
+const _ = require('lodash');
+const cleanHtml = require('js-beautify').html;
+const jsonCopy = require('./json_copy');
+const pa = require('./pattern_assembler');
+const ch = require('./changes_hunter');
+const cep = require('./cross_engine_partials');
+const plutils = require('./utilities');
+
+const pattern_assembler = new pa();
+const changes_hunter = new ch();
+const cross_engine_partials = new cep();
+
+/**
+ * Renders a pattern, its head and its foot with the global data and formats the output files.
+ * This is shared by the main thread and the render workers, so it must only rely on the parts of
+ * patternlab which a render worker rehydrates: data, cacheBuster, footer, userFoot, config and
+ * graph.dataDigests, and patterns to render the included patterns of other engines.
+ */
+const pattern_renderer = function () {
+
+  function mergeData(pattern, patternlab) {
+    let data;
+    try {
+      data = jsonCopy(patternlab.data, 'config.paths.source.data global data');
+    } catch (err) {
+      console.log('There was an error parsing JSON for ' + pattern.relPath);
+      console.log(err);
+    }
+    return _.merge(data, pattern.jsonFileData);
+  }
+
+  /**
+   * Renders a pattern with its engine, then renders the patterns of other engines it includes with
+   * their own engines, see cross_engine_partials.js. They get the data of the including pattern,
+   * merged with the data of the include.
+   *
+   * @param {Pattern} pattern
+   * @param {object} data
+   * @param patternlab
+   * @param {Array<string>} [includedBy] The patterns including pattern, to detect include cycles
+   * @return {Promise} Resolves to the markup of the pattern
+   */
+  function renderPattern(pattern, data, patternlab, includedBy) {
+    const includers = (includedBy || []).concat(pattern.patternPartial);
+
+    return Promise.resolve(pattern_assembler.renderPattern(pattern, data)).then(html => {
+      const includes = cross_engine_partials.find(html);
+
+      return Promise.all(includes.map(include => {
+        if (includers.indexOf(include.patternPartial) > -1) {
+          plutils.warning(`${includers.join(' > ')} includes ${include.patternPartial} again, which is left out.`);
+          return '';
+        }
+        const partialPattern = pattern_assembler.getPartial(include.patternPartial, patternlab, pattern);
+        if (!partialPattern) {
+          return '';
+        }
+        return renderPattern(partialPattern, _.merge({}, data, include.data), patternlab, includers);
+      })).then(markups => markups.reduce((result, markup, i) => result.replace(includes[i].placeholder, () => markup), html));
+    });
+  }
+
+  /**
+   * Renders pattern.patternPartialCode and the pattern-specific head and foot.
+   * Expects pattern.patternData to be set already, as it is passed on to the footer.
+   *
+   * @param {Pattern} pattern
+   * @param {string} head The user-defined head template
+   * @param patternlab
+   * @return {Promise} Resolves to {headHTML: string, footerHTML: string}, once the engine of the
+   * pattern rendered it, which it may do asynchronously
+   */
+  function renderOutputs(pattern, head, patternlab) {
+    let headHTML;
+
+    return new Promise(resolve => {
+
+      //render the pattern, but first consolidate any data we may have
+      let allData = mergeData(pattern, patternlab);
+      allData.cacheBuster = patternlab.cacheBuster;
+      allData = changes_hunter.trackDataKeys(pattern, allData, patternlab);
+
+      //re-rendering the headHTML each time allows pattern-specific data to influence the head of the pattern
+      pattern.header = head;
+      headHTML = pattern_assembler.renderPattern(pattern.header, allData);
+
+      //render the extendedTemplate with all data
+      resolve(renderPattern(pattern, allData, patternlab));
+    }).then(patternPartialCode => {
+      pattern.patternPartialCode = patternPartialCode;
+
+      //set the pattern-specific footer by compiling the general-footer with data, and then adding it to the meta footer
+      const footerPartial = pattern_assembler.renderPattern(patternlab.footer, {
+        isPattern: pattern.isPattern,
+        patternData: pattern.patternData,
+        cacheBuster: patternlab.cacheBuster
+      });
+
+      let allFooterData = mergeData(pattern, patternlab);
+      allFooterData.patternLabFoot = footerPartial;
+      allFooterData = changes_hunter.trackDataKeys(pattern, allFooterData, patternlab);
+
+      const footerHTML = pattern_assembler.renderPattern(patternlab.userFoot, allFooterData);
+
+      return {
+        headHTML: headHTML,
+        footerHTML: footerHTML
+      };
+    });
+  }
+
+  /**
+   * Assembles the contents of the rendered, raw template and markup-only output files of a pattern,
+   * beautified if config.cleanOutputHtml is set.
+   *
+   * @param {string} headHTML
+   * @param {Pattern} pattern
+   * @param {string} footerHTML
+   * @param config
+   * @return {{rendered: string, rawTemplate: string, markupOnly: string}}
+   */
+  function formatOutputs(headHTML, pattern, footerHTML, config) {
+    const nullFormatter = str => str;
+    const defaultFormatter = codeString => cleanHtml(codeString, {indent_size: 2});
+    const patternPage = headHTML + pattern.patternPartialCode + footerHTML;
+    const eng = pattern.engine;
+
+    //beautify the output if configured to do so
+    const formatters = config.cleanOutputHtml ? {
+      rendered:     eng.renderedCodeFormatter || defaultFormatter,
+      rawTemplate:  eng.rawTemplateCodeFormatter || defaultFormatter,
+      markupOnly:   eng.markupOnlyCodeFormatter || defaultFormatter
+    } : {
+      rendered:     nullFormatter,
+      rawTemplate:  nullFormatter,
+      markupOnly:   nullFormatter
+    };
+
+    return {
+      rendered: formatters.rendered(patternPage, pattern),
+      rawTemplate: formatters.rawTemplate(pattern.template, pattern),
+      markupOnly: formatters.markupOnly(pattern.patternPartialCode, pattern)
+    };
+  }
+
+  return {
+    merge_data: function (pattern, patternlab) {
+      return mergeData(pattern, patternlab);
+    },
+    render_pattern: function (pattern, data, patternlab) {
+      return renderPattern(pattern, data, patternlab);
+    },
+    render_outputs: function (pattern, head, patternlab) {
+      return renderOutputs(pattern, head, patternlab);
+    },
+    format_outputs: function (headHTML, pattern, footerHTML, config) {
+      return formatOutputs(headHTML, pattern, footerHTML, config);
+    }
+  };
+};
+
+module.exports = pattern_renderer;
@@ -15,20 +15,30 @@ const dive = require('dive');
 const _ = require('lodash');
 const path = require('path');
 const chalk = require('chalk');
-const cleanHtml = require('js-beautify').html;
 const inherits = require('util').inherits;
 const pm = require('./plugin_manager');
 const packageInfo = require('../../package.json');
 const dataLoader = require('./data_loader')();
+const cl = require('./config_loader');
 const plutils = require('./utilities');
-const jsonCopy = require('./json_copy');
 const PatternGraph = require('./pattern_graph').PatternGraph;
 const pa = require('./pattern_assembler');
+const pr = require('./pattern_renderer');
 const lh = require('./lineage_hunter');
+const ch = require('./changes_hunter');
 const sm = require('./starterkit_manager');
 const pe = require('./pattern_exporter');
+const pf = require('./pattern_filter');
+const pq = require('./pattern_query');
 const Pattern = require('./object_factory').Pattern;
 const CompileState = require('./object_factory').CompileState;
+const RenderPool = require('./render_pool');
+const BuildReport = require('./build_report').BuildReport;
+const BuildReason = require('./build_report').BuildReason;
+const ErrorType = require('./build_report').ErrorType;
+const sv = require('./schema_validator');
+const pdv = require('./pattern_data_validator');
+const configSchema = require('./config_schema.json');
 const updateNotifier = require('update-notifier');
 
 //these are mocked in unit tests, so let them be overridden
@@ -40,6 +50,11 @@ let serve = require('./serve'); // eslint-disable-line
 
 const pattern_assembler = new pa();
 const lineage_hunter = new lh();
+const changes_hunter = new ch();
+const pattern_renderer = new pr();
+const pattern_filter = new pf();
+const pattern_query = new pq();
+const pattern_data_validator = new pdv();
 
 //register our log events
 plutils.log.on('error', msg => console.log(msg));
@@ -60,10 +75,11 @@ updateNotifier({
  * Given a path, load info from the folder to compile into a single config object.
  * @param dataFilesPath
  * @param fsDep
- * @returns {{}}
+ * @param [config] The patternlab config, passed on to data modules exporting a function
+ * @returns {{}} Or a Promise of it, if a data module computes its data asynchronously
  */
-function buildPatternData(dataFilesPath, fsDep) {
-  return dataLoader.loadDataFromFolder(dataFilesPath, 'listitems', fsDep);
+function buildPatternData(dataFilesPath, fsDep, config) {
+  return dataLoader.loadDataFromFolder(dataFilesPath, 'listitems', fsDep, config);
 }
 
 // GTP: these two diveSync pattern processors factored out so they can be reused
@@ -121,6 +137,16 @@ function processAllPatternsRecursive(patterns_dir, patternlab) {
 }
 
 function checkConfiguration(patternlab) {
+  //report unknown keys, wrong types and missing paths, which would otherwise silently do nothing
+  const schema_validator = new sv();
+  schema_validator.validate(patternlab.config, configSchema).forEach(problem => {
+    if (problem.keyword === 'required') {
+      plutils.error(`patternlab-config.json: ${problem.message}`);
+    } else {
+      plutils.warning(`patternlab-config.json: ${problem.message}`);
+    }
+  });
+
   //default the output suffixes if not present
   const outputFileSuffixes = {
     rendered: '.rendered',
@@ -179,8 +205,13 @@ function initializePlugins(patternlab) {
  */
 function installPlugin(pluginName) {
   //get the config
-  const configPath = path.resolve(process.cwd(), 'patternlab-config.json');
-  const config = fs.readJSONSync(path.resolve(configPath), 'utf8');
+  const config_loader = new cl(fs);
+  const configPath = config_loader.find_config_file(process.cwd());
+  if (!configPath || path.extname(configPath) !== '.json') {
+    plutils.error(`Plugins can only be installed into a patternlab-config.json in ${process.cwd()}. Please add ${pluginName} to the plugins of your configuration by hand.`);
+    return;
+  }
+  const config = fs.readJSONSync(configPath, 'utf8');
   const plugin_manager = new pm(config, configPath);
 
   plugin_manager.install_plugin(pluginName);
@@ -191,9 +222,23 @@ function PatternLabEventEmitter() {
 }
 inherits(PatternLabEventEmitter, EventEmitter);
 
-const patternlab_engine = function (config) {
+/**
+ * Loads the layered configuration, see config_loader.js
+ *
+ * @param {object} [options] the config file, environment and overrides to load
+ * @returns {object} the merged configuration
+ */
+function loadConfig(options) {
+  const config_loader = new cl(fs);
+  return config_loader.load_config(options);
+}
+
+const patternlab_engine = function (configOrPath) {
   const patternlab = {};
 
+  //a path to a config file is loaded with its environment config and overrides
+  const config = typeof configOrPath === 'string' ? loadConfig({configPath: configOrPath}) : configOrPath;
+
   patternlab.engines = patternEngines;
   patternlab.engines.loadAllEngines(config);
 
@@ -212,6 +257,12 @@ const patternlab_engine = function (config) {
 
   const paths = patternlab.config.paths;
 
+  // Pending or finished loading of the pattern tree by render(), unless a build loaded it already
+  let patternTreeLoaded = null;
+
+  // Settled when the running build finishes, as builds reset the patterns render() reads
+  let buildFinished = Promise.resolve();
+
   function getVersion() {
     return patternlab.package.version;
   }
@@ -358,29 +409,15 @@ const patternlab_engine = function (config) {
     }
   }
 
-  function writePatternFiles(headHTML, pattern, footerHTML) {
-    const nullFormatter = str => str;
-    const defaultFormatter = codeString => cleanHtml(codeString, {indent_size: 2});
+  function writePatternFiles(pattern, files) {
     const makePath = type => path.join(paths.public.patterns, pattern.getPatternLink(patternlab, type));
-    const patternPage = headHTML + pattern.patternPartialCode + footerHTML;
     const eng = pattern.engine;
 
-    //beautify the output if configured to do so
-    const formatters = config.cleanOutputHtml ? {
-      rendered:     eng.renderedCodeFormatter || defaultFormatter,
-      rawTemplate:  eng.rawTemplateCodeFormatter || defaultFormatter,
-      markupOnly:   eng.markupOnlyCodeFormatter || defaultFormatter
-    } : {
-      rendered:     nullFormatter,
-      rawTemplate:  nullFormatter,
-      markupOnly:   nullFormatter
-    };
-
     //prepare the path and contents of each output file
     const outputFiles = [
-      { path: makePath('rendered'), content: formatters.rendered(patternPage, pattern) },
-      { path: makePath('rawTemplate'), content: formatters.rawTemplate(pattern.template, pattern) },
-      { path: makePath('markupOnly'), content: formatters.markupOnly(pattern.patternPartialCode, pattern) }
+      { path: makePath('rendered'), content: files.rendered },
+      { path: makePath('rawTemplate'), content: files.rawTemplate },
+      { path: makePath('markupOnly'), content: files.markupOnly }
     ].concat(
       eng.addOutputFiles ? eng.addOutputFiles(paths, patternlab) : []
     );
@@ -389,7 +426,13 @@ const patternlab_engine = function (config) {
     outputFiles.forEach(outFile => fs.outputFileSync(outFile.path, outFile.content));
   }
 
-  function renderSinglePattern(pattern, head) {
+  /**
+   * Flags a pattern as building and sets up the pattern data shown in the styleguide.
+   *
+   * @param {Pattern} pattern
+   * @return {boolean} false if the pattern does not need to be rendered
+   */
+  function prepareRender(pattern) {
     // Pattern does not need to be built and recompiled more than once
     if (!pattern.isPattern || pattern.compileState === CompileState.CLEAN) {
       return false;
@@ -407,24 +450,6 @@ const patternlab_engine = function (config) {
 
     patternlab.events.emit('patternlab-pattern-before-data-merge', patternlab, pattern);
 
-    //render the pattern, but first consolidate any data we may have
-    let allData;
-    try {
-      allData = jsonCopy(patternlab.data, 'config.paths.source.data global data');
-    } catch (err) {
-      console.log('There was an error parsing JSON for ' + pattern.relPath);
-      console.log(err);
-    }
-    allData = _.merge(allData, pattern.jsonFileData);
-    allData.cacheBuster = patternlab.cacheBuster;
-
-    //re-rendering the headHTML each time allows pattern-specific data to influence the head of the pattern
-    pattern.header = head;
-    const headHTML = pattern_assembler.renderPattern(pattern.header, allData);
-
-    //render the extendedTemplate with all data
-    pattern.patternPartialCode = pattern_assembler.renderPattern(pattern, allData);
-
     // stringify this data for individual pattern rendering and use on the styleguide
     // see if patternData really needs these other duped values
 
@@ -458,37 +483,233 @@ const patternlab_engine = function (config) {
       patternEngineName: pattern.engine.engineName,
       extraOutput: extraOutput
     });
+    return true;
+  }
 
-    //set the pattern-specific footer by compiling the general-footer with data, and then adding it to the meta footer
-    const footerPartial = pattern_assembler.renderPattern(patternlab.footer, {
-      isPattern: pattern.isPattern,
-      patternData: pattern.patternData,
-      cacheBuster: patternlab.cacheBuster
+  /**
+   * Writes the output files of a rendered pattern and flags it as clean.
+   *
+   * @param {Pattern} pattern
+   * @param {string} headHTML
+   * @param {string} footerHTML
+   * @param {number} renderTime Milliseconds spent rendering the pattern so far
+   * @param {object} [rendered] The result of a render worker, holding the formatted output files
+   */
+  function finishRender(pattern, headHTML, footerHTML, renderTime, rendered) {
+    const start = Date.now();
+    patternlab.events.emit('patternlab-pattern-write-begin', patternlab, pattern);
+
+    // Files formatted by a render worker are stale if a plugin changed the markup in the meantime
+    const files = rendered && rendered.patternPartialCode === pattern.patternPartialCode ?
+      rendered.files :
+      pattern_renderer.format_outputs(headHTML, pattern, footerHTML, config);
+
+    //write the compiled template to the public patterns directory
+    writePatternFiles(pattern, files);
+
+    patternlab.events.emit('patternlab-pattern-write-end', patternlab, pattern);
+
+    // Allows serializing the compile state and the global data read while rendering
+    patternlab.graph.node(pattern).compileState = pattern.compileState = CompileState.CLEAN;
+    patternlab.graph.node(pattern).dataKeys = pattern.dataKeys;
+    patternlab.buildReport.patternBuilt(pattern, renderTime + Date.now() - start);
+    plutils.log.info("Built pattern: " + pattern.patternPartial);
+  }
+
+  /**
+   * Records a pattern which could not be rendered, so it is rebuilt by the next build.
+   *
+   * @param {Pattern} pattern
+   * @param {string} message
+   */
+  function renderFailed(pattern, message) {
+    plutils.error(`Could not render pattern ${pattern.patternPartial}: ${message}`);
+    patternlab.buildReport.patternFailed(pattern, message);
+
+    // The node already holds the digest of the current sources
+    const node = patternlab.graph.node(pattern);
+    delete node.digest;
+    node.compileState = pattern.compileState = CompileState.NEEDS_REBUILD;
+  }
+
+  /**
+   * @param {Pattern} pattern
+   * @param {string} head
+   * @return {Promise} Resolves to whether the pattern was rendered
+   */
+  function renderSinglePattern(pattern, head) {
+    if (!prepareRender(pattern)) {
+      return Promise.resolve(false);
+    }
+    const start = Date.now();
+    return pattern_renderer.render_outputs(pattern, head, patternlab).then(html => {
+      finishRender(pattern, html.headHTML, html.footerHTML, Date.now() - start);
+      return true;
+    }).catch(err => {
+      renderFailed(pattern, err instanceof Error ? err.message : String(err));
+      return false;
     });
+  }
+
+  /**
+   * Renders the patterns across a pool of worker threads. The patterns are partitioned into layers
+   * of patterns not including each other, and each layer is written before the next one is rendered.
+   *
+   * @param {Array} patterns
+   * @param {string} head
+   * @param {RenderPool} pool
+   * @return {Promise}
+   */
+  function renderPatternsInParallel(patterns, head, pool) {
+    const renderLayer = layer => {
+      const toRender = layer.filter(prepareRender);
+      return pool.render(toRender).then(results => {
+        results.forEach((result, i) => {
+          const pattern = toRender[i];
+          if (result.error) {
+            renderFailed(pattern, result.error);
+            return;
+          }
+          pattern.header = head;
+          pattern.patternPartialCode = result.patternPartialCode;
+          pattern.dataKeys = result.dataKeys;
+          try {
+            finishRender(pattern, result.headHTML, result.footerHTML, result.renderTime, result);
+          } catch (err) {
+            renderFailed(pattern, err.message);
+          }
+        });
+      });
+    };
+
+    return patternlab.graph.compileLayers(patterns)
+      .reduce((rendered, layer) => rendered.then(() => renderLayer(layer)), Promise.resolve())
+      .then(() => pool.terminate(), err => pool.terminate().then(() => {
+        throw err;
+      }));
+  }
+
+  /**
+   * Renders the patterns, in parallel if config.renderWorkers is set and worker threads are supported.
+   *
+   * @param {Array} patterns
+   * @param {string} head
+   * @return {Promise}
+   */
+  function renderPatterns(patterns, head) {
+    const workers = config.renderWorkers || 0;
+    if (workers > 0 && patterns.length > 0) {
+      const unloadableEngines = patternlab.engines.getAddedEngines().filter(added => !added.modulePath);
+      if (!RenderPool.isSupported()) {
+        plutils.warning('config.renderWorkers is set, but this version of Node does not support worker threads. Rendering patterns sequentially.');
+      } else if (unloadableEngines.length > 0) {
+        plutils.warning(`config.renderWorkers is set, but render workers cannot load the pattern engine ${unloadableEngines[0].engineName}, as it was added as an object rather than by its module path. Rendering patterns sequentially.`);
+      } else {
+        let pool = null;
+        try {
+          pool = new RenderPool(workers, patternlab, head);
+        } catch (err) {
+          if (err.name !== 'DataCloneError') {
+            throw err;
+          }
+          plutils.warning(`config.renderWorkers is set, but the config or data cannot be passed to render workers, e.g. as it holds functions (${err.message}). Rendering patterns sequentially.`);
+        }
+        if (pool) {
+          return renderPatternsInParallel(patterns, head, pool);
+        }
+      }
+    }
+
+    // one after the other, as engines may render asynchronously
+    return patterns.reduce((rendered, pattern) => rendered.then(() => renderSinglePattern(pattern, head)), Promise.resolve());
+  }
+
+  /**
+   * Leaves a pattern not selected by the filter of this build as it is, to be built by a later build.
+   * Its existing output is loaded for the "View All" pages.
+   *
+   * @param {Pattern} pattern
+   */
+  function skipFilteredPattern(pattern) {
+    patternlab.buildReport.setReason(pattern, BuildReason.FILTERED);
+
+    // The node already holds the digest of the current sources
+    const node = patternlab.graph.node(pattern);
+    delete node.digest;
+    node.compileState = pattern.compileState = CompileState.NEEDS_REBUILD;
 
-    let allFooterData;
     try {
-      allFooterData = jsonCopy(patternlab.data, 'config.paths.source.data global data');
+      const markupOnlyPath = path.join(paths.public.patterns, pattern.getPatternLink(patternlab, 'markupOnly'));
+      pattern.patternPartialCode = fs.readFileSync(markupOnlyPath, 'utf8');
     } catch (err) {
-      console.log('There was an error parsing JSON for ' + pattern.relPath);
-      console.log(err);
+      // Not built yet
     }
-    allFooterData = _.merge(allFooterData, pattern.jsonFileData);
-    allFooterData.patternLabFoot = footerPartial;
+  }
 
-    const footerHTML = pattern_assembler.renderPattern(patternlab.userFoot, allFooterData);
+  /**
+   * Removes the rendered output of a pattern which no longer exists in the source directory,
+   * so it does not linger in config.paths.public.patterns.
+   *
+   * @param {string} relPath The relative path of the deleted pattern, as known to the pattern graph
+   */
+  function removePatternOutput(relPath) {
+    const deletedPattern = new Pattern(relPath, null, patternlab);
+    fs.removeSync(path.join(paths.public.patterns, deletedPattern.name));
+  }
 
-    patternlab.events.emit('patternlab-pattern-write-begin', patternlab, pattern);
+  /**
+   * Determines if the given file lies within the global data directory, i.e. config.paths.source.data
+   * @param {string} file
+   * @return {boolean}
+   */
+  function isGlobalDataFile(file) {
+    const relativePath = path.relative(path.resolve(paths.source.data), path.resolve(file));
+    return relativePath !== '' && relativePath.indexOf('..') !== 0 && !path.isAbsolute(relativePath);
+  }
 
-    //write the compiled template to the public patterns directory
-    writePatternFiles(headHTML, pattern, footerHTML);
+  /**
+   * Saves the pattern graph when all files have been compiled, and exports patterns if necessary
+   */
+  function storeBuildResults() {
+    PatternGraph.storeToFile(patternlab);
+    if (patternlab.config.exportToGraphViz) {
+      PatternGraph.exportToDot(patternlab, "dependencyGraph.dot");
+      plutils.log.info(`Exported pattern graph to ${path.join(config.paths.public.root, "dependencyGraph.dot")}`);
+    }
 
-    patternlab.events.emit('patternlab-pattern-write-end', patternlab, pattern);
+    pattern_exporter.export_patterns(patternlab);
+  }
 
-    // Allows serializing the compile state
-    patternlab.graph.node(pattern).compileState = pattern.compileState = CompileState.CLEAN;
-    plutils.log.info("Built pattern: " + pattern.patternPartial);
-    return true;
+  /**
+   * @param {string} label Where the error occurred
+   * @return {function} A callback for .catch(), recording an error which stopped the build
+   */
+  function reportBuildError(label) {
+    return err => {
+      console.log(`Error in ${label}:`, err);
+      patternlab.buildReport.addError(ErrorType.BUILD, err instanceof Error ? err.message : String(err));
+    };
+  }
+
+  /**
+   * Stores the build report and rejects a strict build with errors
+   */
+  function finishBuildReport() {
+    BuildReport.storeToFile(patternlab);
+
+    const buildError = patternlab.buildReport.toError();
+    if (buildError) {
+      throw buildError;
+    }
+  }
+
+  /**
+   * Tells listeners like the dev server which patterns were rendered by the build which just ended.
+   */
+  function emitBuildEnd() {
+    patternlab.events.emit('patternlab-build-end', patternlab, {
+      patterns: patternlab.buildReport.builtPatterns().map(p => p.patternPartial)
+    });
   }
 
   /**
@@ -509,52 +730,39 @@ const patternlab_engine = function (config) {
     return PatternGraph.loadFromFile(patternlab);
   }
 
-  function buildPatterns(deletePatternDir) {
-
-    if (patternlab.config.debug) {
-      console.log(
-        chalk.bold('\n====[ Pattern Lab / Node'),
-        `- v${packageInfo.version}`,
-        chalk.bold(']====\n')
-      );
-    }
-
-    patternlab.events.emit('patternlab-build-pattern-start', patternlab);
-
-    const graph = patternlab.graph = loadPatternGraph(deletePatternDir);
-
-    const graphNeedsUpgrade = !PatternGraph.checkVersion(graph);
-
-    if (graphNeedsUpgrade) {
-      plutils.log.info("Due to an upgrade, a complete rebuild is required and the public/patterns directory was deleted. " +
-                       "Incremental build is available again on the next successful run.");
-
-      // Ensure that the freshly built graph has the latest version again.
-      patternlab.graph.upgradeVersion();
-    }
-
-    // Flags
-    const incrementalBuildsEnabled = !(deletePatternDir || graphNeedsUpgrade);
-
-    if (incrementalBuildsEnabled) {
-      plutils.log.info("Incremental builds enabled.");
-    } else {
-      // needs to be done BEFORE processing patterns
-      fs.emptyDirSync(paths.public.patterns);
-    }
-
-    try {
-      patternlab.data = buildPatternData(paths.source.data, fs);
-    } catch (ex) {
+  /**
+   * Loads the global data and list items, which data modules may compute asynchronously.
+   *
+   * @return {Promise}
+   */
+  function loadGlobalData() {
+    const data = new Promise(resolve => {
+      resolve(buildPatternData(paths.source.data, fs, patternlab.config));
+    }).catch(() => {
       plutils.error('missing or malformed' + paths.source.data + 'data.json  Pattern Lab may not work without this file.');
-      patternlab.data = {};
-    }
-    try {
-      patternlab.listitems = dataLoader.loadDataFromFile(path.resolve(paths.source.data, 'listitems'), fs);
-    } catch (ex) {
+      return {};
+    });
+    const listitems = new Promise(resolve => {
+      resolve(dataLoader.loadDataFromFile(path.resolve(paths.source.data, 'listitems'), fs, patternlab.config));
+    }).catch(() => {
       plutils.warning('WARNING: missing or malformed ' + paths.source.data + 'listitems file.  Pattern Lab may not work without this file.');
-      patternlab.listitems = {};
-    }
+      return {};
+    });
+
+    return Promise.all([data, listitems]).then(loaded => {
+      patternlab.data = loaded[0];
+      patternlab.listitems = loaded[1];
+    });
+  }
+
+  /**
+   * Loads the Pattern Lab files and all patterns once the global data is loaded, see loadPatterns().
+   *
+   * @return {Promise}
+   */
+  function loadPatternFiles() {
+    // Patterns which read any global data that changed since the last build need to be rebuilt
+    patternlab.changedDataKeys = changes_hunter.checkDataDigests(patternlab);
     try {
       patternlab.header = fs.readFileSync(path.resolve(paths.source.patternlabFiles['general-header']), 'utf8');
       patternlab.footer = fs.readFileSync(path.resolve(paths.source.patternlabFiles['general-footer']), 'utf8');
@@ -586,6 +794,9 @@ const patternlab_engine = function (config) {
       //we need to do this before expanding patterns & partials into extendedTemplates, otherwise we could lose the data -> partial reference
       pattern_assembler.parse_data_links(patternlab);
 
+      //report data violating the schema of its pattern, including each pseudopattern's data
+      pattern_data_validator.validate_patterns(patternlab.patterns, patternlab);
+
       //diveSync again to recursively include partials, filling out the
       //extendedTemplate property of the patternlab.patterns elements
       // TODO we can reduce the time needed by only processing changed patterns and their partials
@@ -594,6 +805,80 @@ const patternlab_engine = function (config) {
       //take the user defined head and foot and process any data and patterns that apply
       processHeadPattern();
       processFootPattern();
+    });
+  }
+
+  /**
+   * Loads the global data, the Pattern Lab files and all patterns, and decomposes the patterns
+   * into their extendedTemplate, without rendering or writing anything. Expects patternlab.graph
+   * to be set.
+   *
+   * @return {Promise} Resolved when all patterns are loaded
+   */
+  function loadPatterns() {
+    return loadGlobalData().then(loadPatternFiles);
+  }
+
+  /**
+   * @param {boolean} deletePatternDir When true, all patterns are rebuilt
+   * @param {boolean} [strict] When true, the returned promise rejects with a {@link BuildError} if
+   * any pattern could not be built, a partial could not be found or JSON could not be parsed
+   * @param {string|Array} [filter] Selectors of the patterns to build, see pattern_filter.js. The
+   * patterns they include are built as well, the output of all other patterns is left untouched.
+   * @return {Promise}
+   */
+  function buildPatterns(deletePatternDir, strict, filter) {
+
+    if (patternlab.config.debug) {
+      console.log(
+        chalk.bold('\n====[ Pattern Lab / Node'),
+        `- v${packageInfo.version}`,
+        chalk.bold(']====\n')
+      );
+    }
+
+    patternlab.events.emit('patternlab-build-pattern-start', patternlab);
+
+    const graph = patternlab.graph = loadPatternGraph(deletePatternDir);
+    patternlab.buildReport = new BuildReport(strict);
+
+    const graphNeedsUpgrade = !PatternGraph.checkVersion(graph);
+
+    if (graphNeedsUpgrade) {
+      plutils.log.info("Due to an upgrade, a complete rebuild is required and the public/patterns directory was deleted. " +
+                       "Incremental build is available again on the next successful run.");
+
+      // Ensure that the freshly built graph has the latest version again.
+      patternlab.graph.upgradeVersion();
+    }
+
+    // Flags
+    const incrementalBuildsEnabled = !(deletePatternDir || graphNeedsUpgrade);
+
+    if (incrementalBuildsEnabled) {
+      plutils.log.info("Incremental builds enabled.");
+    } else if (!filter) {
+      // needs to be done BEFORE processing patterns
+      fs.emptyDirSync(paths.public.patterns);
+    }
+
+    return loadPatterns().then(() => {
+
+      // Patterns including a deleted pattern are rebuilt because of their dependency
+      const brokenIncluders = new Set();
+      if (incrementalBuildsEnabled) {
+        // When the graph was loaded from file, some patterns might have been moved/deleted between runs
+        // so the graph data become out of sync. Newly created patterns were already added as new nodes.
+        // This must happen before the pattern states are cascaded along the lineage.
+        patternlab.graph.sync((n, includers) => {
+          plutils.log.info("[Deleted/Moved] " + n);
+          removePatternOutput(n);
+          includers.forEach(p => {
+            brokenIncluders.add(p);
+            plutils.warning(`${p.patternPartial} includes the deleted or moved pattern ${n}. Its include is broken and it will be rebuilt.`);
+          });
+        });
+      }
 
       //cascade any patternStates
       lineage_hunter.cascade_pattern_states(patternlab);
@@ -615,43 +900,223 @@ const patternlab_engine = function (config) {
       // rebuild all patterns
       let patternsToBuild = null;
 
-      // If deletePatternDir == true or graph needs to be updated
-      // rebuild all patterns
-      patternsToBuild = null;
-
       if (incrementalBuildsEnabled) {
-        // When the graph was loaded from file, some patterns might have been moved/deleted between runs
-        // so the graph data become out of sync
-        patternlab.graph.sync().forEach(n => {
-          plutils.log.info("[Deleted/Moved] " + n);
-        });
+        pattern_assembler.mark_modified_patterns(patternlab);
 
-        // TODO Find created or deleted files
-        const now = new Date().getTime();
-        pattern_assembler.mark_modified_patterns(now, patternlab);
+        // Anything flagged by now changed itself, the compile order adds the patterns including it
+        const changedPatterns = patternlab.patterns.filter(p => p.compileState !== CompileState.CLEAN && !brokenIncluders.has(p));
         patternsToBuild = patternlab.graph.compileOrder();
+        patternsToBuild.forEach(p => patternlab.buildReport.setReason(p, BuildReason.DEPENDENCY_CHANGED));
+        changedPatterns.forEach(p => patternlab.buildReport.setReason(p, BuildReason.CHANGED));
       } else {
         // build all patterns, mark all to be rebuilt
         patternsToBuild = patternlab.patterns;
         for (const p of patternsToBuild) {
           p.compileState = CompileState.NEEDS_REBUILD;
+          patternlab.buildReport.setReason(p, BuildReason.FULL_REBUILD);
         }
       }
 
+      if (filter) {
+        const selected = pattern_filter.select(patternlab.patterns, filter, patternlab.graph);
+        plutils.log.info(`Building ${selected.size} pattern(s) selected by ${[].concat(filter).join(', ')} and the patterns they include.`);
+        patternsToBuild = patternsToBuild.filter(p => {
+          if (selected.has(p)) {
+            return true;
+          }
+          skipFilteredPattern(p);
+          return false;
+        });
+      }
+
       //render all patterns last, so lineageR works
-      patternsToBuild.forEach(pattern => renderSinglePattern(pattern, head));
+      return renderPatterns(patternsToBuild, head).then(storeBuildResults);
+    }).catch(reportBuildError('buildPatterns()')).then(finishBuildReport);
+  }
+
+  /**
+   * Finds the pattern a changed file belongs to: its template, sibling data, listitems or markdown,
+   * or one of its pseudopatterns.
+   *
+   * @param {string} file
+   * @return {Pattern|undefined} Undefined if the file belongs to no pattern known from the last
+   * build, its template no longer exists, or it is a deleted pseudopattern
+   */
+  function findChangedPattern(file) {
+    const fileObject = path.parse(path.relative(path.resolve(paths.source.patterns), path.resolve(file)));
+    const baseName = fileObject.name.split('~')[0].replace(/\.(listitems|schema)$/, '');
+    const isPseudoPatternFile = fileObject.name.indexOf('~') > -1;
+
+    if (isPseudoPatternFile && !fs.existsSync(file)) {
+      return undefined;
+    }
+
+    return (patternlab.patterns || []).find(p => {
+      return !p.isPseudoPattern && p.engine && p.subdir === fileObject.dir && p.fileName === baseName &&
+        fs.existsSync(path.resolve(paths.source.patterns, p.relPath));
+    });
+  }
+
+  /**
+   * Rebuilds a single changed pattern while watching: reloads the pattern and its pseudopatterns,
+   * decomposes and renders them and all patterns including them, and rebuilds the parts of the
+   * frontend showing them. Everything else is kept from the last build.
+   *
+   * @param {Pattern} pattern The pattern as known from the last build
+   * @param {boolean} [strict] See {@link buildPatterns}
+   * @return {Promise} Resolved with the rebuilt patterns
+   */
+  function buildChangedPattern(pattern, strict) {
+    const graph = patternlab.graph;
+    patternlab.buildReport = new BuildReport(strict);
+    let patternsToBuild = [];
+
+    // The reloaded patterns take the place of the old ones in the graph
+    patternlab.patterns
+      .filter(p => p === pattern || p.isPseudoPattern && p.basePattern === pattern)
+      .forEach(p => graph.forget(p));
+
+    // Known patterns are replaced in patternlab.patterns, but not registered anew
+    const reloaded = pattern_assembler.load_pattern_iterative(pattern.relPath, patternlab);
+    graph.add(reloaded);
+    reloaded.registerPartial();
+
+    return pattern_assembler.process_pattern_iterative(reloaded, patternlab).then(() => {
+      pattern_data_validator.validate_patterns(patternlab.patterns.filter(p => {
+        return p === reloaded || p.isPseudoPattern && p.basePattern === reloaded;
+      }), patternlab);
+      graph.node(reloaded).compileState = reloaded.compileState = CompileState.NEEDS_REBUILD;
+      lineage_hunter.cascade_pattern_states(patternlab);
+
+      // Ordered so that included patterns are decomposed before the patterns including them
+      patternsToBuild = graph.compileOrder();
+      patternsToBuild.forEach(p => {
+        patternlab.buildReport.setReason(p, p === reloaded ? BuildReason.CHANGED : BuildReason.DEPENDENCY_CHANGED);
+        pattern_assembler.process_pattern_recursive(p.relPath, patternlab);
+      });
+
+      return renderPatterns(patternsToBuild, patternlab.userHead || patternlab.header).then(storeBuildResults);
+    }).catch(reportBuildError('buildChangedPattern()')).then(() => {
+      finishBuildReport();
+      return patternsToBuild;
+    });
+  }
+
+  /**
+   * Makes Pattern Lab available for the next build after a build failed in strict mode, and lets
+   * the process exit with a non-zero code, unless watching, where a later build may fix the failure.
+   *
+   * @param {object} options The options of the build
+   * @return {function} Handles the error the build failed with
+   */
+  function buildFailed(options) {
+    return err => {
+      patternlab.isBusy = false;
+      plutils.error(err.message);
+      if (!options.watch) {
+        process.exitCode = 1;
+      }
+      throw err;
+    };
+  }
+
+  /**
+   * Lets rendering single patterns wait for a build, rather than read the patterns it is loading.
+   *
+   * @param {Promise} build
+   * @return {Promise} The build
+   */
+  function trackBuild(build) {
+    buildFinished = build.then(() => {}, () => {});
+    return build;
+  }
+
+  /**
+   * Rebuilds a single changed pattern, see {@link buildChangedPattern}, and the frontend showing it.
+   *
+   * @param {Pattern} pattern
+   * @param {function} callback Invoked when the rebuild is complete
+   * @param {object} options The options of the build
+   * @return {Promise}
+   */
+  function rebuildChangedPattern(pattern, callback, options) {
+    patternlab.isBusy = true;
+    return trackBuild(buildChangedPattern(pattern, options.strict)).then(builtPatterns => {
+      new ui_builder().buildFrontend(patternlab, builtPatterns);
+      printDebug();
+      patternlab.isBusy = false;
+      emitBuildEnd();
+      callback();
+    }, buildFailed(options));
+  }
 
-      // Saves the pattern graph when all files have been compiled
-      PatternGraph.storeToFile(patternlab);
-      if (patternlab.config.exportToGraphViz) {
-        PatternGraph.exportToDot(patternlab, "dependencyGraph.dot");
-        plutils.log.info(`Exported pattern graph to ${path.join(config.paths.public.root, "dependencyGraph.dot")}`);
+  /**
+   * Loads and decomposes all patterns for rendering single patterns, unless they were loaded by a
+   * build or an earlier render already. Nothing is written and the pattern graph of the last build
+   * is left alone, unless reload is set. If loading fails, the next render loads the patterns again.
+   * A running build is waited for first.
+   *
+   * @param {boolean} [reload] Loads the patterns again, e.g. after their files changed
+   * @return {Promise}
+   */
+  function loadPatternTree(reload) {
+    return buildFinished.then(() => {
+      if (reload || !patternTreeLoaded && !patternlab.patterns) {
+        patternlab.graph = PatternGraph.empty();
+        patternlab.buildReport = new BuildReport();
+        const loaded = patternTreeLoaded = loadPatterns().then(() => {
+          lineage_hunter.cascade_pattern_states(patternlab);
+        });
+        loaded.catch(() => {
+          if (patternTreeLoaded === loaded) {
+            patternTreeLoaded = null;
+            patternlab.patterns = null;
+          }
+        });
       }
+      return patternTreeLoaded;
+    });
+  }
 
-      //export patterns if necessary
-      pattern_exporter.export_patterns(patternlab);
-    }).catch((err) => {
-      console.log('Error in buildPatterns():', err);
+  /**
+   * Renders the markup of a single pattern like the build does, but with custom data and without
+   * writing any files.
+   *
+   * @param {string} patternPartial The partial of the pattern, e.g. atoms-button, or atoms-button-primary for a pseudopattern
+   * @param {object} [data] Merged over the global data and the data of the pattern
+   * @param {object} [options]
+   * @param {boolean} [options.reload] Loads all patterns from disk again before rendering
+   * @return {Promise} Resolved with the HTML of the pattern, rejected with an error with the code
+   * PATTERN_NOT_FOUND if there is no such pattern
+   */
+  function renderPatternPartial(patternPartial, data, options) {
+    const renderOptions = options || {};
+    return loadPatternTree(renderOptions.reload).then(() => {
+      const pattern = pattern_assembler.getPartial(patternPartial, patternlab);
+      if (!pattern) {
+        const err = new Error(`Could not find pattern ${patternPartial}`);
+        err.code = 'PATTERN_NOT_FOUND';
+        throw err;
+      }
+      const allData = _.merge(pattern_renderer.merge_data(pattern, patternlab), data);
+      allData.cacheBuster = patternlab.cacheBuster;
+      return pattern_renderer.render_pattern(pattern, allData, patternlab);
+    });
+  }
+
+  /**
+   * Finds patterns by their group, subgroup, state, tags or text, see pattern_query.js.
+   *
+   * @param {object} [query] Matches all patterns if omitted
+   * @param {object} [options]
+   * @param {boolean} [options.reload] Loads all patterns from disk again before querying
+   * @return {Promise} Resolved with an Array of serializable pattern descriptors, rejected with an
+   * error with the code UNKNOWN_QUERY_KEY if the query has keys other than those listed above
+   */
+  function getPatterns(query, options) {
+    const queryOptions = options || {};
+    return loadPatternTree(queryOptions.reload).then(() => {
+      return pattern_query.query(patternlab.patterns, query, patternlab);
     });
   }
 
@@ -679,7 +1144,8 @@ const patternlab_engine = function (config) {
      *
      * @param {function} callback a function invoked when build is complete
      * @param {object} options an object used to control build behavior
-     * @returns {Promise} a promise fulfilled when build is complete
+     * @returns {Promise} a promise fulfilled when build is complete, rejected with a BuildError if
+     * options.strict is set and errors were found
      */
     build: function (callback, options) {
       if (patternlab && patternlab.isBusy) {
@@ -687,31 +1153,41 @@ const patternlab_engine = function (config) {
         return Promise.resolve();
       }
       patternlab.isBusy = true;
-      return buildPatterns(options.cleanPublic).then(() => {
+      return trackBuild(buildPatterns(options.cleanPublic, options.strict, options.filter)).then(() => {
 
         new ui_builder().buildFrontend(patternlab);
         assetCopier().copyAssets(patternlab.config.paths, patternlab, options);
 
-        this.events.on('patternlab-pattern-change', () => {
+        // A failed rebuild while watching was reported already, keep watching for a fix
+        const ignoreFailure = () => {};
+
+        this.events.on('patternlab-pattern-change', (data) => {
           if (!patternlab.isBusy) {
+            // a change within a known pattern only rebuilds that pattern and the patterns including it
+            const changedPattern = !options.filter && data && data.file && findChangedPattern(data.file);
+            if (changedPattern) {
+              return rebuildChangedPattern(changedPattern, callback, options).catch(ignoreFailure);
+            }
             options.cleanPublic = false;
-            return this.build(callback, options);
+            return this.build(callback, options).catch(ignoreFailure);
           }
           return Promise.resolve();
         });
 
-        this.events.on('patternlab-global-change', () => {
+        this.events.on('patternlab-global-change', (data) => {
           if (!patternlab.isBusy) {
-            options.cleanPublic = true; //rebuild everything
-            return this.build(callback, options);
+            // changed global data only rebuilds the patterns reading it, anything else rebuilds everything
+            options.cleanPublic = !isGlobalDataFile(data.file);
+            return this.build(callback, options).catch(ignoreFailure);
           }
           return Promise.resolve();
         });
 
         printDebug();
         patternlab.isBusy = false;
+        emitBuildEnd();
         callback();
-      });
+      }, buildFailed(options));
     },
 
     /**
@@ -728,7 +1204,8 @@ const patternlab_engine = function (config) {
      *
      * @param {function} callback a function invoked when build is complete
      * @param {object} options an object used to control build behavior
-     * @returns {Promise} a promise fulfilled when build is complete
+     * @returns {Promise} a promise fulfilled when build is complete, rejected with a BuildError if
+     * options.strict is set and errors were found
      */
     patternsonly: function (callback, options) {
       if (patternlab && patternlab.isBusy) {
@@ -736,11 +1213,12 @@ const patternlab_engine = function (config) {
         return Promise.resolve();
       }
       patternlab.isBusy = true;
-      return buildPatterns(options.cleanPublic).then(() => {
+      return trackBuild(buildPatterns(options.cleanPublic, options.strict, options.filter)).then(() => {
         printDebug();
         patternlab.isBusy = false;
+        emitBuildEnd();
         callback();
-      });
+      }, buildFailed(options));
     },
 
   /**
@@ -774,6 +1252,19 @@ const patternlab_engine = function (config) {
       installPlugin(pluginName);
     },
 
+    /**
+     * registers a PatternEngine explicitly, taking precedence over the engines found in node_modules
+     * and config.engines
+     *
+     * @param {string} engineName the name of the engine, e.g. nunjucks
+     * @param {object|string} engine the engine, or the path of its module: a package name, which may be
+     * scoped, or a path relative to the working directory
+     * @returns {void}
+     */
+    addEngine: function (engineName, engine) {
+      patternlab.engines.addEngine(engineName, engine, patternlab.config);
+    },
+
     /**
      * returns all file extensions supported by installed PatternEngines
      *
@@ -783,16 +1274,40 @@ const patternlab_engine = function (config) {
       return getSupportedTemplateExtensions();
     },
 
+    /**
+     * renders a single pattern with custom data, without writing any files
+     *
+     * @param {string} patternPartial the partial of the pattern, e.g. atoms-button
+     * @param {object} [data] data merged over the global data and the data of the pattern
+     * @param {object} [options] set options.reload to load all patterns from disk again
+     * @returns {Promise} a promise fulfilled with the rendered HTML of the pattern
+     */
+    render: function (patternPartial, data, options) {
+      return renderPatternPartial(patternPartial, data, options);
+    },
+
+    /**
+     * finds patterns by group, subgroup, state, tag or text
+     *
+     * @param {object} [query] e.g. {group: 'molecules', tag: ['card', 'media']}, matching all patterns if omitted
+     * @param {object} [options] set options.reload to load all patterns from disk again
+     * @returns {Promise} a promise fulfilled with an array of serializable pattern descriptors
+     */
+    getPatterns: function (query, options) {
+      return getPatterns(query, options);
+    },
+
     /**
      * build patterns, copy assets, and construct ui, watch source files, and serve locally
      *
      * @param {object} options an object used to control build, copy, and serve behavior
-     * @returns {Promise} TODO: validate
+     * @returns {Promise} a promise fulfilled with a handle of the running server, holding its url and
+     * a close method to stop serving and watching
      */
     serve: function (options) {
       options.watch = true;
-      return this.build(() => {}, options).then(function () {
-        serve(patternlab);
+      return this.build(() => {}, options).then(() => {
+        return serve(patternlab, this);
       });
     },
     events: patternlab.events
@@ -802,6 +1317,7 @@ const patternlab_engine = function (config) {
 // export these free functions so they're available without calling the exported
 // function, for use in reducing code dupe in unit tests. At least, until we
 // have a better way to do this
+patternlab_engine.load_config = loadConfig;
 patternlab_engine.build_pattern_data = buildPatternData;
 patternlab_engine.process_all_patterns_iterative = processAllPatternsIterative;
 patternlab_engine.process_all_patterns_recursive = processAllPatternsRecursive;
@@ -7,8 +7,14 @@ const _ = require('lodash');
 const lh = require('./lineage_hunter');
 const Pattern = require('./object_factory').Pattern;
 const path = require('path');
+const BuildReport = require('./build_report').BuildReport;
+const WarningType = require('./build_report').WarningType;
+const da = require('./data_loader');
+const fd = require('./fake_data');
 const lineage_hunter = new lh();
 const changes_hunter = new ch();
+const dataLoader = new da();
+const fake_data = new fd();
 
 const pseudopattern_hunter = function () {};
 
@@ -36,19 +42,19 @@ pseudopattern_hunter.prototype.find_pseudopatterns = function (currentPattern, p
       //we want to do everything we normally would here, except instead read the pseudoPattern data
       try {
         var variantFileFullPath = path.resolve(paths.source.patterns, pseudoPatterns[i]);
-        var variantFileData = fs.readJSONSync(variantFileFullPath);
+        var variantFileData = fake_data.resolve(dataLoader.resolveReferences(fs.readJSONSync(variantFileFullPath), variantFileFullPath, fs, patternlab.config));
       } catch (err) {
         console.log('There was an error parsing pseudopattern JSON for ' + currentPattern.relPath);
         console.log(err);
+        BuildReport.addWarning(patternlab, WarningType.INVALID_JSON, 'There was an error parsing pseudopattern JSON ' + pseudoPatterns[i] + ': ' + err.message, currentPattern);
       }
 
-      //extend any existing data with variant data
-      variantFileData = _.merge(currentPattern.jsonFileData, variantFileData);
+      //extend a copy of any existing data with variant data, so the base pattern keeps its own
+      variantFileData = _.merge({}, currentPattern.jsonFileData, variantFileData);
 
-      let variantName = pseudoPatterns[i].substring(pseudoPatterns[i].indexOf('~') + 1).split('.')[0];
-      let variantFilePath = path.join(currentPattern.subdir, currentPattern.fileName + '~' + variantName + '.json');
-      let lm = fs.statSync(variantFileFullPath);
-      let patternVariant = Pattern.create(variantFilePath, variantFileData, {
+      const variantName = pseudoPatterns[i].substring(pseudoPatterns[i].indexOf('~') + 1).split('.')[0];
+      const variantFilePath = path.join(currentPattern.subdir, currentPattern.fileName + '~' + variantName + '.json');
+      const patternVariant = Pattern.create(variantFilePath, variantFileData, {
         //use the same template as the non-variant
         template: currentPattern.template,
         fileExtension: currentPattern.fileExtension,
@@ -60,65 +66,24 @@ pseudopattern_hunter.prototype.find_pseudopatterns = function (currentPattern, p
 
         // Only regular patterns are discovered during iterative walks
         // Need to recompile on data change or template change
-        lastModified: Math.max(currentPattern.lastModified, lm.mtime),
+        digest: currentPattern.digest,
 
         // use the same template engine as the non-variant
         engine: currentPattern.engine
       }, patternlab);
-
-      changes_hunter.checkBuildState(patternVariant, patternlab);
-      patternlab.graph.add(patternVariant);
-      patternlab.graph.link(patternVariant, currentPattern);
+      [variantFileFullPath]
+        .concat(dataLoader.findReferencedFiles(variantFileFullPath))
+        .forEach(file => {
+          changes_hunter.checkContentDigest(patternVariant, file);
+        });
 
       //process the companion markdown file if it exists
       pattern_assembler.parse_pattern_markdown(patternVariant, patternlab);
 
-      //find pattern lineage
-      lineage_hunter.find_lineage(patternVariant, patternlab);
-
-      //add to patternlab object so we can look these up later.
-      pattern_assembler.addPattern(patternVariant, patternlab);
-
-      //we want to do everything we normally would here, except instead read the pseudoPattern data
-      try {
-        var variantFileFullPath = path.resolve(paths.source.patterns, pseudoPatterns[i]);
-        var variantFileData = fs.readJSONSync(variantFileFullPath);
-      } catch (err) {
-        console.log('There was an error parsing pseudopattern JSON for ' + currentPattern.relPath);
-        console.log(err);
-      }
-
-      //extend any existing data with variant data
-      variantFileData = _.merge(currentPattern.jsonFileData, variantFileData);
-
-      variantName = pseudoPatterns[i].substring(pseudoPatterns[i].indexOf('~') + 1).split('.')[0];
-      variantFilePath = path.join(currentPattern.subdir, currentPattern.fileName + '~' + variantName + '.json');
-      lm = fs.statSync(variantFileFullPath);
-      patternVariant = Pattern.create(variantFilePath, variantFileData, {
-        //use the same template as the non-variant
-        template: currentPattern.template,
-        fileExtension: currentPattern.fileExtension,
-        extendedTemplate: currentPattern.extendedTemplate,
-        isPseudoPattern: true,
-        basePattern: currentPattern,
-        stylePartials: currentPattern.stylePartials,
-        parameteredPartials: currentPattern.parameteredPartials,
-
-        // Only regular patterns are discovered during iterative walks
-        // Need to recompile on data change or template change
-        lastModified: Math.max(currentPattern.lastModified, lm.mtime),
-
-        // use the same template engine as the non-variant
-        engine: currentPattern.engine
-      }, patternlab);
-
       changes_hunter.checkBuildState(patternVariant, patternlab);
       patternlab.graph.add(patternVariant);
       patternlab.graph.link(patternVariant, currentPattern);
 
-      //process the companion markdown file if it exists
-      pattern_assembler.parse_pattern_markdown(patternVariant, patternlab);
-
       //find pattern lineage
       lineage_hunter.find_lineage(patternVariant, patternlab);
 
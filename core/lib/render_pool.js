@@ -0,0 +1,189 @@
+"use strict";
+
+const path = require('path');
+const patternEngines = require('./pattern_engines');
+
+// worker_threads is available from Node 10.5 on
+let workerThreads = null;
+try {
+  workerThreads = require('worker_threads');
+} catch (err) {
+  workerThreads = null;
+}
+
+const workerFile = path.join(__dirname, 'render_worker.js');
+
+/**
+ * The properties of a pattern a render worker needs to rehydrate it, see render_worker.js
+ * @param {Pattern} pattern
+ * @return {{engineName: string, pattern: object}}
+ */
+function serializePattern(pattern) {
+  return {
+    engineName: patternEngines.getEngineName(pattern.engine),
+    pattern: {
+      relPath: pattern.relPath,
+      name: pattern.name,
+      patternName: pattern.patternName,
+      patternPartial: pattern.patternPartial,
+      verbosePartial: pattern.verbosePartial,
+      isPattern: pattern.isPattern,
+      template: pattern.template,
+      extendedTemplate: pattern.extendedTemplate,
+      jsonFileData: pattern.jsonFileData,
+      patternData: pattern.patternData,
+      dataKeys: pattern.dataKeys
+    }
+  };
+}
+
+/**
+ * The data each render worker starts with, see render_worker.js
+ * @param patternlab
+ * @param {string} head The user-defined head template
+ * @return {object}
+ */
+function createWorkerData(patternlab, head) {
+  return {
+    config: patternlab.config,
+    data: patternlab.data,
+    cacheBuster: patternlab.cacheBuster,
+    footer: patternlab.footer,
+    userFoot: patternlab.userFoot,
+    head: head,
+    dataDigests: patternlab.graph.dataDigests,
+    addedEngines: patternEngines.getAddedEngines(),
+    partials: patternlab.patterns.filter(p => p.isPattern).map(serializePattern)
+  };
+}
+
+/**
+ * A pool of worker threads rendering patterns in parallel.
+ *
+ * Each worker loads the pattern engines, including those added by module path, and registers all patterns as partials, just like the main
+ * thread does while loading patterns, and receives a snapshot of the global data. Therefore a pool
+ * must be created once all patterns are decomposed and the global data is final.
+ *
+ * A worker which stops unexpectedly fails the patterns it was rendering and is replaced, at most
+ * size times over the life of the pool. Once no worker is left, all waiting patterns fail.
+ *
+ * The global data, config and pattern data are passed to workers as structured clones, which
+ * cannot hold functions, e.g. computed by data modules or a JavaScript config. If they do, creating
+ * the pool throws a DataCloneError.
+ *
+ * @param {number} size The number of workers
+ * @param patternlab
+ * @param {string} head The user-defined head template
+ * @constructor
+ */
+const RenderPool = function (size, patternlab, head) {
+  this.workerData = createWorkerData(patternlab, head);
+  this.workers = [];
+  this.idle = [];
+  this.queue = [];
+  this.pending = new Map();
+  this.nextId = 0;
+  this.replacements = size;
+  this.terminating = false;
+  this.error = null;
+
+  for (let i = 0; i < size; i++) {
+    this.start();
+  }
+};
+
+/**
+ * @return {boolean} Whether worker threads are supported by this version of Node
+ */
+RenderPool.isSupported = function () {
+  return workerThreads !== null;
+};
+
+RenderPool.prototype = {
+
+  /**
+   * Renders patterns across the workers.
+   *
+   * @param {Array} patterns The {@link Pattern}s to render, their patternData must be set already
+   * @return {Promise} Resolves to an Array holding for each pattern an object with the headHTML,
+   * footerHTML, patternPartialCode, dataKeys, renderTime and the contents of the output files, or
+   * with the error message if the pattern could not be rendered, e.g. as its worker stopped.
+   */
+  render: function (patterns) {
+    return Promise.all(patterns.map(pattern => new Promise(resolve => {
+      const task = serializePattern(pattern);
+      task.id = this.nextId++;
+      if (this.workers.length === 0) {
+        resolve({id: task.id, error: this.error.message});
+        return;
+      }
+      this.queue.push({task: task, resolve: resolve});
+      this.dispatch();
+    })));
+  },
+
+  dispatch: function () {
+    while (this.idle.length > 0 && this.queue.length > 0) {
+      const worker = this.idle.pop();
+      const job = this.queue.shift();
+      job.worker = worker;
+      this.pending.set(job.task.id, job);
+      worker.postMessage(job.task);
+    }
+  },
+
+  start: function () {
+    const worker = new workerThreads.Worker(workerFile, {workerData: this.workerData});
+    let error = null;
+    worker.on('message', result => this.settle(worker, result));
+    worker.on('error', err => {
+      error = err;
+    });
+    worker.on('exit', code => this.exited(worker, error || new Error(`A render worker stopped with exit code ${code}.`)));
+    this.workers.push(worker);
+    this.idle.push(worker);
+  },
+
+  settle: function (worker, result) {
+    const job = this.pending.get(result.id);
+    this.pending.delete(result.id);
+    this.idle.push(worker);
+    job.resolve(result);
+    this.dispatch();
+  },
+
+  exited: function (worker, err) {
+    this.workers = this.workers.filter(w => w !== worker);
+    this.idle = this.idle.filter(w => w !== worker);
+    if (this.terminating) {
+      return;
+    }
+
+    this.pending.forEach((job, id) => {
+      if (job.worker === worker) {
+        this.pending.delete(id);
+        job.resolve({id: id, error: err.message});
+      }
+    });
+
+    if (this.replacements > 0) {
+      this.replacements--;
+      this.start();
+      this.dispatch();
+    } else if (this.workers.length === 0) {
+      this.error = err;
+      this.queue.splice(0).forEach(job => job.resolve({id: job.task.id, error: err.message}));
+    }
+  },
+
+  /**
+   * Stops all workers.
+   * @return {Promise}
+   */
+  terminate: function () {
+    this.terminating = true;
+    return Promise.all(this.workers.map(worker => worker.terminate()));
+  }
+};
+
+module.exports = RenderPool;
@@ -0,0 +1,69 @@
+"use strict";
+
+// Entry point of the worker threads of a RenderPool, see render_pool.js
+
+const workerThreads = require('worker_threads');
+const Pattern = require('./object_factory').Pattern;
+const patternEngines = require('./pattern_engines');
+const plutils = require('./utilities');
+const pr = require('./pattern_renderer');
+
+const pattern_renderer = new pr();
+const workerData = workerThreads.workerData;
+
+//register our log events, the ones of the main thread do not reach into workers
+plutils.log.on('error', msg => console.log(msg));
+plutils.log.on('debug', msg => console.log(msg));
+plutils.log.on('warning', msg => console.log(msg));
+plutils.log.on('info', msg => console.log(msg));
+
+patternEngines.loadAllEngines(workerData.config);
+workerData.addedEngines.forEach(added => patternEngines.addEngine(added.engineName, added.modulePath, workerData.config));
+
+function rehydrate(task) {
+  const pattern = Object.assign(new Pattern(task.pattern.relPath), task.pattern);
+  pattern.engine = patternEngines[task.engineName];
+  return pattern;
+}
+
+// Engines resolving partials by themselves at render time need to know all of them
+const partials = workerData.partials.map(rehydrate);
+partials.forEach(pattern => pattern.registerPartial());
+
+// The parts of patternlab needed for rendering, see pattern_renderer.js
+const patternlab = {
+  config: workerData.config,
+  data: workerData.data,
+  cacheBuster: workerData.cacheBuster,
+  footer: workerData.footer,
+  userFoot: workerData.userFoot,
+  graph: {
+    dataDigests: workerData.dataDigests
+  },
+  patterns: partials
+};
+
+workerThreads.parentPort.on('message', task => {
+  const start = Date.now();
+  let pattern;
+  new Promise(resolve => {
+    pattern = rehydrate(task);
+    resolve(pattern_renderer.render_outputs(pattern, workerData.head, patternlab));
+  }).then(html => {
+    const files = pattern_renderer.format_outputs(html.headHTML, pattern, html.footerHTML, patternlab.config);
+    workerThreads.parentPort.postMessage({
+      id: task.id,
+      headHTML: html.headHTML,
+      footerHTML: html.footerHTML,
+      patternPartialCode: pattern.patternPartialCode,
+      dataKeys: pattern.dataKeys,
+      files: files,
+      renderTime: Date.now() - start
+    });
+  }).catch(err => {
+    workerThreads.parentPort.postMessage({
+      id: task.id,
+      error: err instanceof Error ? err.message : String(err)
+    });
+  });
+});
@@ -0,0 +1,216 @@
+"use strict";
+
+/**
+ * Validates values against a subset of JSON Schema: type, properties, required,
+ * additionalProperties, items, enum, minimum, pattern, minItems and maxItems.
+ *
+ * Instead of failing at the first problem, all problems are collected, each with the path of the
+ * offending key. Unknown keys come with a suggestion of the known key they were likely meant to be.
+ * Other keywords are not checked, see findUnsupportedKeywords.
+ */
+const schema_validator = function () {
+
+  const supportedKeywords = ['type', 'properties', 'required', 'additionalProperties', 'items', 'enum',
+    'minimum', 'pattern', 'minItems', 'maxItems'];
+
+  // keywords which only describe a schema, so there is nothing to check
+  const annotationKeywords = ['$schema', '$id', 'id', '$ref', '$comment', 'title', 'description', 'default',
+    'examples', 'definitions'];
+
+  function typeOf(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    return typeof value;
+  }
+
+  function hasType(value, type) {
+    switch (type) {
+      case 'integer':
+        return typeof value === 'number' && value % 1 === 0;
+      case 'number':
+        return typeof value === 'number' && !isNaN(value);
+      default:
+        return typeOf(value) === type;
+    }
+  }
+
+  // Levenshtein distance of two strings
+  function distance(a, b) {
+    let previous = [];
+    for (let j = 0; j <= b.length; j++) {
+      previous[j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Finds the candidate closest to the mistyped key, if any is close enough.
+   *
+   * @param {string} key
+   * @param {Array} candidates
+   * @return {string|undefined}
+   */
+  function suggest(key, candidates) {
+    const lowerKey = key.toLowerCase();
+    let best;
+    let bestDistance = Math.max(2, Math.floor(key.length / 3)) + 1;
+    candidates.forEach(candidate => {
+      const d = distance(lowerKey, candidate.toLowerCase());
+      if (d < bestDistance) {
+        best = candidate;
+        bestDistance = d;
+      }
+    });
+    return best;
+  }
+
+  function keyPath(parent, key) {
+    return parent ? parent + '.' + key : key;
+  }
+
+  function validate(value, schema, path, problems) {
+    const report = (keyword, message, extra) => {
+      problems.push(Object.assign({
+        path: path,
+        keyword: keyword,
+        message: `[${path}] ${message}`
+      }, extra));
+    };
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => hasType(value, type))) {
+        report('type', `should be ${types.map(t => (/^[aeiou]/.test(t) ? 'an ' : 'a ') + t).join(' or ')}, but is ${JSON.stringify(value)}.`);
+        return problems;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(allowed => allowed === value)) {
+      report('enum', `should be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}, but is ${JSON.stringify(value)}.`);
+    }
+
+    if (typeof schema.minimum === 'number' && typeof value === 'number' && value < schema.minimum) {
+      report('minimum', `should be at least ${schema.minimum}, but is ${value}.`);
+    }
+
+    if (typeof schema.pattern === 'string' && typeof value === 'string') {
+      let matches;
+      try {
+        matches = new RegExp(schema.pattern).test(value);
+      } catch (err) {
+        report('pattern', `cannot be checked, as the pattern of the schema is invalid: ${err.message}`);
+        matches = true;
+      }
+      if (!matches) {
+        report('pattern', `should match ${schema.pattern}, but is ${JSON.stringify(value)}.`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+        report('minItems', `should have at least ${schema.minItems} item(s), but has ${value.length}.`);
+      }
+      if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+        report('maxItems', `should have at most ${schema.maxItems} item(s), but has ${value.length}.`);
+      }
+      if (schema.items) {
+        value.forEach((item, i) => validate(item, schema.items, `${path}[${i}]`, problems));
+      }
+    }
+
+    if (typeOf(value) === 'object') {
+      const properties = schema.properties || {};
+      const knownKeys = Object.keys(properties);
+
+      (schema.required || []).forEach(key => {
+        if (!value.hasOwnProperty(key)) {
+          problems.push({
+            path: keyPath(path, key),
+            keyword: 'required',
+            message: `[${keyPath(path, key)}] is required, but missing.`
+          });
+        }
+      });
+
+      Object.keys(value).forEach(key => {
+        const childPath = keyPath(path, key);
+        if (properties.hasOwnProperty(key)) {
+          validate(value[key], properties[key], childPath, problems);
+        } else if (schema.additionalProperties === false) {
+          const suggestion = suggest(key, knownKeys);
+          problems.push({
+            path: childPath,
+            keyword: 'additionalProperties',
+            message: `[${childPath}] is not a known key.` + (suggestion ? ` Did you mean [${keyPath(path, suggestion)}]?` : ''),
+            suggestion: suggestion
+          });
+        } else if (typeOf(schema.additionalProperties) === 'object') {
+          validate(value[key], schema.additionalProperties, childPath, problems);
+        }
+      });
+    }
+    return problems;
+  }
+
+  /**
+   * @param {object} schema
+   * @return {Array<string>} The keywords used within the schema which are not checked by validate()
+   */
+  function findUnsupportedKeywords(schema) {
+    const found = new Set();
+    const visited = new Set();
+    const walk = subschema => {
+      if (typeOf(subschema) !== 'object' || visited.has(subschema)) {
+        return;
+      }
+      visited.add(subschema);
+      Object.keys(subschema).forEach(keyword => {
+        if (supportedKeywords.indexOf(keyword) === -1 && annotationKeywords.indexOf(keyword) === -1) {
+          found.add(keyword);
+        }
+      });
+      [subschema.properties, subschema.definitions].forEach(schemas => {
+        if (typeOf(schemas) === 'object') {
+          Object.keys(schemas).forEach(key => walk(schemas[key]));
+        }
+      });
+      walk(subschema.items);
+      walk(subschema.additionalProperties);
+    };
+    walk(schema);
+    return Array.from(found);
+  }
+
+  return {
+
+    /**
+     * @param value
+     * @param {object} schema
+     * @return {Array} The problems found, each with the path of the offending key, the keyword of
+     * the schema it violates, a message and for unknown keys possibly a suggestion
+     */
+    validate: function (value, schema) {
+      return validate(value, schema, '', []);
+    },
+    suggest: function (key, candidates) {
+      return suggest(key, candidates);
+    },
+    find_unsupported_keywords: function (schema) {
+      return findUnsupportedKeywords(schema);
+    }
+  };
+};
+
+module.exports = schema_validator;
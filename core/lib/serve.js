@@ -1,39 +1,132 @@
 "use strict";
 const path = require('path');
-const liveServer = require('live-server');
+const serve_routes = require('./serve_routes');
 
-const serve = (patternlab) => {
+//mocked in unit tests, so let it be overridden
+let DevServer = require('./dev_server'); // eslint-disable-line
 
-  // our default liveserver config
+/**
+ * Serves the public directory, reloading the pages showing rebuilt patterns, or the whole styleguide
+ * if its navigation changed, and swapping stylesheets when they changed.
+ *
+ * @param patternlab
+ * @param api The object returned by patternlab_engine, used to render patterns on demand
+ * @return {Promise} Resolved with a handle of the running server, see below
+ */
+const serve = (patternlab, api) => {
+
+  // our default server config
   const defaults = {
     root: patternlab.config.paths.public.root,
     open: true,
-    ignore: path.join(path.resolve(patternlab.config.paths.public.root)),
     file: 'index.html',
     logLevel: 0, // errors only
     wait: 1000
   };
 
   // allow for overrides should they exist inside patternlab-config.json
-  const liveServerConfig = Object.assign({}, defaults, patternlab.config.serverOptions);
+  const serverConfig = Object.assign({}, defaults, patternlab.config.serverOptions);
+
+  // render patterns on demand at /__render/<patternPartial> and list them at /__patterns
+  serverConfig.middleware = [new serve_routes(api).middleware].concat(serverConfig.middleware || []);
+
+  const server = new DevServer(serverConfig);
+
+  // asset changes are sent after waiting for them to be copied, and a pending reload makes swapping css unnecessary
+  let pendingMessage = null;
+  let timeout = null;
+  function sendAfterWait(message) {
+    if (!pendingMessage || pendingMessage.type === 'css') {
+      pendingMessage = message;
+    }
+    clearTimeout(timeout);
+    timeout = setTimeout(() => {
+      server.broadcast(pendingMessage);
+      pendingMessage = null;
+    }, serverConfig.wait);
+  }
 
   // watch for asset changes, and reload appropriately
-  patternlab.events.on('patternlab-asset-change', (data) => {
-    if (data.file.indexOf('css') > -1) {
-      liveServer.refreshCSS();
-    } else {
-      liveServer.reload();
+  const onAssetChange = (data) => {
+    sendAfterWait({type: data.file.indexOf('css') > -1 ? 'css' : 'reload'});
+  };
+
+  /**
+   * @param {string} file
+   * @return {string} The path of the file in URLs of the server
+   */
+  function toUrlPath(file) {
+    return encodeURI('/' + path.relative(path.resolve(serverConfig.root), path.resolve(file)).split(path.sep).join('/'));
+  }
+
+  /**
+   * @param {Array<string>} patternPartials
+   * @return {Array<string>} The URL paths of the pages showing the patterns: their own, the view all
+   * pages of their group and subgroup, and the styleguide showing all patterns
+   */
+  function getPagePaths(patternPartials) {
+    const paths = patternlab.config.paths;
+    const pages = new Set();
+    patternlab.patterns.filter(p => patternPartials.indexOf(p.patternPartial) > -1).forEach(p => {
+      pages.add(toUrlPath(path.join(paths.public.patterns, p.getPatternLink(patternlab, 'rendered'))));
+      pages.add(toUrlPath(path.join(paths.public.patterns, p.flatPatternPath, 'index.html')));
+      pages.add(toUrlPath(path.join(paths.public.patterns, p.patternType, 'index.html')));
+    });
+    if (pages.size > 0) {
+      pages.add(toUrlPath(path.join(paths.public.styleguide, 'html', 'styleguide.html')));
     }
-  });
+    return Array.from(pages);
+  }
 
-  //watch for pattern changes, and reload
-  patternlab.events.on('patternlab-pattern-change', () => {
-    liveServer.reload();
-  });
+  // the styleguide itself only needs to be reloaded if its navigation changed
+  const getNavigation = () => JSON.stringify([patternlab.patternTypes, patternlab.patternPaths, patternlab.viewAllPaths]);
+  let navigation = getNavigation();
+
+  // after a rebuild, reload the pages showing the rebuilt patterns, which includes patterns including changed ones
+  const onBuildEnd = (pl, data) => {
+    const previousNavigation = navigation;
+    navigation = getNavigation();
+    if (navigation !== previousNavigation) {
+      server.broadcast({type: 'reload'});
+    } else if (data.patterns.length > 0) {
+      server.broadcast({type: 'reload', paths: getPagePaths(data.patterns)});
+    }
+  };
+
+  patternlab.events.on('patternlab-asset-change', onAssetChange);
+  patternlab.events.on('patternlab-build-end', onBuildEnd);
 
   //start!
-  liveServer.start(liveServerConfig);
+  return server.start().then(() => {
+    return {
+
+      /**
+       * The URL served at, e.g. http://localhost:8080
+       */
+      url: server.url,
 
+      /**
+       * @see DevServer#broadcast
+       */
+      broadcast: function (message) {
+        server.broadcast(message);
+      },
+
+      /**
+       * Stops serving and watching the source files.
+       *
+       * @return {Promise} Resolved when the server is closed
+       */
+      close: function () {
+        clearTimeout(timeout);
+        patternlab.events.removeListener('patternlab-asset-change', onAssetChange);
+        patternlab.events.removeListener('patternlab-build-end', onBuildEnd);
+        Object.keys(patternlab.watchers).forEach(key => patternlab.watchers[key].close());
+        patternlab.watchers = {};
+        return server.close();
+      }
+    };
+  });
 };
 
 module.exports = serve;
@@ -0,0 +1,150 @@
+"use strict";
+
+const url = require('url');
+
+const renderRoute = '/__render/';
+const patternsRoute = '/__patterns';
+
+// Requests larger than this are rejected rather than buffered
+const maxBodyLength = 1024 * 1024;
+
+/**
+ * A request which could not be served, answered with its status code and message.
+ *
+ * @param {number} status
+ * @param {string} message
+ * @constructor
+ */
+const RequestError = function (status, message) {
+  Error.captureStackTrace(this, RequestError);
+  this.name = 'RequestError';
+  this.message = message;
+  this.status = status;
+};
+
+RequestError.prototype = Object.create(Error.prototype);
+RequestError.prototype.constructor = RequestError;
+
+/**
+ * Connect-style middleware for the dev server, rendering patterns on demand:
+ * - GET or POST /__render/<patternPartial>?data=<json> renders the markup of a pattern, with the
+ *   JSON given in the data query parameter and the POST body merged over its data
+ * - GET /__patterns?group=...&subgroup=...&state=...&tag=...&text=... returns the descriptors of
+ *   the matching patterns as JSON, see pattern_query.js
+ *
+ * @param api The object returned by patternlab_engine, providing render and getPatterns
+ */
+const serve_routes = function (api) {
+
+  function send(res, status, contentType, body) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', contentType + '; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.end(body);
+  }
+
+  function sendError(res, status, message) {
+    send(res, status, 'text/plain', message);
+  }
+
+  /**
+   * @param {string} encoded A pattern partial as it appears in the request path
+   * @return {string}
+   */
+  function decodePatternPartial(encoded) {
+    try {
+      return decodeURIComponent(encoded);
+    } catch (err) {
+      throw new RequestError(400, `The pattern ${encoded} is not a valid URL component.`);
+    }
+  }
+
+  /**
+   * @param {string} json
+   * @param {string} source Where the JSON came from, for the error message
+   * @return {object}
+   */
+  function parseData(json, source) {
+    if (!json) {
+      return {};
+    }
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (err) {
+      throw new RequestError(400, `The ${source} is not valid JSON: ${err.message}`);
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+      throw new RequestError(400, `The ${source} must be a JSON object.`);
+    }
+    return data;
+  }
+
+  /**
+   * @param req
+   * @return {Promise} Resolved with the request body as a string
+   */
+  function readBody(req) {
+    if (req.method !== 'POST') {
+      return Promise.resolve('');
+    }
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        body += chunk;
+        if (body.length > maxBodyLength) {
+          reject(new RequestError(413, 'The request body is too large.'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  function handleRender(req, res, encodedPatternPartial, query) {
+    return readBody(req).then(body => {
+      const patternPartial = decodePatternPartial(encodedPatternPartial);
+      const data = Object.assign(parseData(query.data, 'data query parameter'), parseData(body, 'request body'));
+      return api.render(patternPartial, data).catch(err => {
+        throw err.code === 'PATTERN_NOT_FOUND' ? new RequestError(404, err.message) : err;
+      });
+    }).then(html => send(res, 200, 'text/html', html));
+  }
+
+  function handlePatterns(res, query) {
+    return Promise.resolve().then(() => {
+      return api.getPatterns(query).catch(err => {
+        throw err.code === 'UNKNOWN_QUERY_KEY' ? new RequestError(400, err.message) : err;
+      });
+    }).then(patterns => send(res, 200, 'application/json', JSON.stringify(patterns, null, 2)));
+  }
+
+  function handle(req, res, next) {
+    const requestUrl = url.parse(req.url, true);
+    const pathname = requestUrl.pathname;
+    let handled;
+
+    if (pathname.indexOf(renderRoute) === 0 && (req.method === 'GET' || req.method === 'POST')) {
+      handled = handleRender(req, res, pathname.substring(renderRoute.length), requestUrl.query);
+    } else if (pathname === patternsRoute && req.method === 'GET') {
+      handled = handlePatterns(res, requestUrl.query);
+    } else {
+      next();
+      return;
+    }
+
+    handled.catch(err => {
+      sendError(res, err instanceof RequestError ? err.status : 500, err.message);
+    });
+  }
+
+  return {
+    middleware: function (req, res, next) {
+      handle(req, res, next);
+    }
+  };
+};
+
+module.exports = serve_routes;
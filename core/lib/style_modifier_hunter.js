@@ -2,6 +2,20 @@
 
 const style_modifier_hunter = function () {
 
+  /**
+   * Finds the class names of the styleModifier on the supplied partial
+   *
+   * @param partial {string} partial which may contain styleModifiers
+   * @returns {string|null} the class names, separated by spaces
+   */
+  function findstylemodifier(partial) {
+    //extract the classname from the stylemodifier which comes in the format of :className
+    const styleModifier = partial.match(/:([\w\-_|])+/g) ? partial.match(/:([\w\-_|])+/g)[0].slice(1) : null;
+
+    //replace the special character pipe | used to separate multiple classes with a space
+    return styleModifier ? styleModifier.replace(/\|/g, ' ') : null;
+  }
+
   /**
    * Modifies a patterns partial with any styleModifiers found on the supplied partial
    *
@@ -10,13 +24,9 @@ const style_modifier_hunter = function () {
    * @param patternlab {object} the patternlab instance
    */
   function consumestylemodifier(pattern, partial, patternlab) {
-    //extract the classname from the stylemodifier which comes in the format of :className
-    let styleModifier = partial.match(/:([\w\-_|])+/g) ? partial.match(/:([\w\-_|])+/g)[0].slice(1) : null;
+    const styleModifier = findstylemodifier(partial);
 
     if (styleModifier) {
-      //replace the special character pipe | used to separate multiple classes with a space
-      styleModifier = styleModifier.replace(/\|/g, ' ');
-
       if (patternlab.config.debug) {
         console.log('found partial styleModifier within pattern ' + pattern.patternPartial);
       }
@@ -30,6 +40,9 @@ const style_modifier_hunter = function () {
   }
 
   return {
+    find_style_modifier: function (partial) {
+      return findstylemodifier(partial);
+    },
     consume_style_modifier: function (pattern, partial, patternlab) {
       consumestylemodifier(pattern, partial, patternlab);
     }
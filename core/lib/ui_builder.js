@@ -475,13 +475,18 @@ const ui_builder = function () {
    * @param mainPageHeadHtml - the already built main page HTML
    * @param patternlab - global data store
    * @param styleguidePatterns - the grouped set of patterns
+   * @param [changedPatterns] - if given, only the viewall pages showing any of these patterns are built
    * @returns every built pattern and set of viewall patterns, so the styleguide can use it
      */
-  function buildViewAllPages(mainPageHeadHtml, patternlab, styleguidePatterns) {
+  function buildViewAllPages(mainPageHeadHtml, patternlab, styleguidePatterns, changedPatterns) {
     const paths = patternlab.config.paths;
     let patterns = [];
     let writeViewAllFile = true;
 
+    //the viewall pages are keyed by patternGroup and patternGroup-patternSubGroup
+    const affectedPages = changedPatterns && new Set(_.flatMap(changedPatterns, p => [p.patternGroup, p.patternGroup + '-' + p.patternSubGroup]));
+    const isAffected = page => !affectedPages || affectedPages.has(page);
+
     //loop through the grouped styleguide patterns, building at each level
     _.forEach(styleguidePatterns.patternGroups, function (patternTypeObj, patternType) {
 
@@ -500,9 +505,6 @@ const ui_builder = function () {
           return;
         }
 
-        //render the footer needed for the viewall template
-        const footerHTML = buildFooterHTML(patternlab, 'viewall-' + patternPartial);
-
         //render the viewall template by finding these smallest subtype-grouped patterns
         const subtypePatterns = sortPatterns(_.values(patternSubtypes));
 
@@ -526,8 +528,13 @@ const ui_builder = function () {
 
         typePatterns = typePatterns.concat(subtypePatterns);
 
-        const viewAllHTML = buildViewAllHTML(patternlab, subtypePatterns, patternPartial);
-        fs.outputFileSync(paths.public.patterns + p.flatPatternPath + '/index.html', mainPageHeadHtml + viewAllHTML + footerHTML);
+        if (isAffected(patternPartial)) {
+          //render the footer needed for the viewall template
+          const footerHTML = buildFooterHTML(patternlab, 'viewall-' + patternPartial);
+
+          const viewAllHTML = buildViewAllHTML(patternlab, subtypePatterns, patternPartial);
+          fs.outputFileSync(paths.public.patterns + p.flatPatternPath + '/index.html', mainPageHeadHtml + viewAllHTML + footerHTML);
+        }
       });
 
       //do not create a viewall page for flat patterns
@@ -535,20 +542,22 @@ const ui_builder = function () {
         return;
       }
 
-      //render the footer needed for the viewall template
-      const footerHTML = buildFooterHTML(patternlab, 'viewall-' + patternType + '-all');
-
       //add any flat patterns
       //todo this isn't quite working yet
       //typePatterns = typePatterns.concat(getPatternItems(patternlab, patternType));
 
-      //get the appropriate patternType
-      const anyPatternOfType = _.find(typePatterns, function (pat) {
-        return pat.patternType && pat.patternType !== '';});
+      if (isAffected(patternType)) {
+        //render the footer needed for the viewall template
+        const footerHTML = buildFooterHTML(patternlab, 'viewall-' + patternType + '-all');
 
-      //render the viewall template for the type
-      const viewAllHTML = buildViewAllHTML(patternlab, typePatterns, patternType);
-      fs.outputFileSync(paths.public.patterns + anyPatternOfType.patternType + '/index.html', mainPageHeadHtml + viewAllHTML + footerHTML);
+        //get the appropriate patternType
+        const anyPatternOfType = _.find(typePatterns, function (pat) {
+          return pat.patternType && pat.patternType !== '';});
+
+        //render the viewall template for the type
+        const viewAllHTML = buildViewAllHTML(patternlab, typePatterns, patternType);
+        fs.outputFileSync(paths.public.patterns + anyPatternOfType.patternType + '/index.html', mainPageHeadHtml + viewAllHTML + footerHTML);
+      }
 
       //determine if we should omit this patterntype completely from the viewall page
       const omitPatternType = styleGuideExcludes && styleGuideExcludes.length
@@ -569,8 +578,10 @@ const ui_builder = function () {
   /**
    * Write out our pattern information for use by the front end
    * @param patternlab - global data store
+   * @param [changesOnly] - if true, patternlab-data.js is only written if its contents changed, and
+   * annotations are not exported
      */
-  function exportData(patternlab) {
+  function exportData(patternlab, changesOnly) {
     const annotation_exporter = new ae(patternlab);
     const paths = patternlab.config.paths;
 
@@ -600,7 +611,20 @@ const ui_builder = function () {
     output += 'var defaultPattern = "' + (patternlab.config.defaultPattern ? patternlab.config.defaultPattern : 'all') + '";' + eol;
 
     //write all output to patternlab-data
-    fs.outputFileSync(path.resolve(paths.public.data, 'patternlab-data.js'), output);
+    const dataFile = path.resolve(paths.public.data, 'patternlab-data.js');
+    if (changesOnly) {
+      let previousOutput = null;
+      try {
+        previousOutput = fs.readFileSync(dataFile, 'utf8');
+      } catch (err) {
+        // Not written yet
+      }
+      if (previousOutput !== output) {
+        fs.outputFileSync(dataFile, output);
+      }
+      return;
+    }
+    fs.outputFileSync(dataFile, output);
 
     //annotations
     const annotationsJSON = annotation_exporter.gather();
@@ -620,8 +644,10 @@ const ui_builder = function () {
   /**
    * The main entry point for ui_builder
    * @param patternlab - global data store
+   * @param [changedPatterns] - if given, only the parts of the frontend showing these patterns are
+   * rebuilt, which is faster when watching a single pattern
      */
-  function buildFrontend(patternlab) {
+  function buildFrontend(patternlab, changedPatterns) {
 
     resetUIBuilderState(patternlab);
 
@@ -649,7 +675,7 @@ const ui_builder = function () {
     const footerHTML = pattern_assembler.renderPattern(patternlab.userFoot, headFootData);
 
     //build the viewall pages
-    const allPatterns = buildViewAllPages(headerHTML, patternlab, styleguidePatterns);
+    const allPatterns = buildViewAllPages(headerHTML, patternlab, styleguidePatterns, changedPatterns);
 
     //add the defaultPattern if we found one
     if (patternlab.defaultPattern) {
@@ -667,6 +693,12 @@ const ui_builder = function () {
       });
     fs.outputFileSync(path.resolve(paths.public.styleguide, 'html/styleguide.html'), headerHTML + styleguideHtml + footerHTML);
 
+    //write out patternlab.data object to be read by the client
+    if (changedPatterns) {
+      exportData(patternlab, true);
+      return;
+    }
+
     //move the index file from its asset location into public root
     let patternlabSiteHtml;
     try {
@@ -683,8 +715,8 @@ const ui_builder = function () {
   }
 
   return {
-    buildFrontend: function (patternlab) {
-      buildFrontend(patternlab);
+    buildFrontend: function (patternlab, changedPatterns) {
+      buildFrontend(patternlab, changedPatterns);
     },
     isPatternExcluded: function (pattern, patternlab) {
       return isPatternExcluded(pattern, patternlab);
@@ -695,8 +727,8 @@ const ui_builder = function () {
     resetUIBuilderState: function (patternlab) {
       resetUIBuilderState(patternlab);
     },
-    buildViewAllPages: function (mainPageHeadHtml, patternlab, styleguidePatterns) {
-      return buildViewAllPages(mainPageHeadHtml, patternlab, styleguidePatterns);
+    buildViewAllPages: function (mainPageHeadHtml, patternlab, styleguidePatterns, changedPatterns) {
+      return buildViewAllPages(mainPageHeadHtml, patternlab, styleguidePatterns, changedPatterns);
     }
   };
 
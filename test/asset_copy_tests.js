@@ -64,3 +64,55 @@ tap.test('transformConfigPaths takes configuration.paths() and maps to a better
   test.equals(result.css.public, './test/output/css');
   test.end();
 });
+
+tap.test('copyAssets watches only data modules among the scripts of patterns', function (test) {
+  //arrange
+  var watcher = rewire('../core/lib/asset_copy');
+  var watchedPaths = [];
+  var fakeWatcher = {
+    on: function () { return fakeWatcher; }
+  };
+  var copyMock = function () {
+    return {on: function () {}};
+  };
+  copyMock.events = {COPY_FILE_COMPLETE: 'complete'};
+  watcher.__set__({
+    'copy': copyMock,
+    'chokidar': {
+      watch: function (p) {
+        watchedPaths.push(p);
+        return fakeWatcher;
+      }
+    }
+  });
+  var patternlab = createFakePatternLab({
+    engines: {
+      getSupportedFileExtensions: function () { return ['.mustache']; }
+    },
+    watchers: {},
+    events: {emit: function () {}}
+  });
+  var assetDirectories = {
+    source: {
+      root: './test/files/',
+      patterns: './test/files/_patterns/',
+      data: './test/files/_data/',
+      meta: './test/files/_meta/'
+    },
+    public: {
+      root: './test/public/'
+    }
+  };
+
+  //act
+  watcher().copyAssets(assetDirectories, patternlab, {watch: true});
+
+  //assert
+  var patternPaths = watchedPaths.filter(function (p) {
+    return p.indexOf('_patterns') !== -1;
+  }).map(function (p) {
+    return path.basename(p);
+  });
+  test.same(patternPaths, ['*.json', '*.yml', '*.yaml', '*.data.js', '*.data.cjs', '*.md', '*.mustache']);
+  test.end();
+});
@@ -0,0 +1,145 @@
+"use strict";
+
+var tap = require('tap');
+var fs = require('fs-extra');
+
+var BuildReport = require('../core/lib/build_report').BuildReport;
+var BuildReason = require('../core/lib/build_report').BuildReason;
+var WarningType = require('../core/lib/build_report').WarningType;
+var ErrorType = require('../core/lib/build_report').ErrorType;
+var BuildError = require('../core/lib/build_report').BuildError;
+var Pattern = require('../core/lib/object_factory').Pattern;
+var config = require('./util/patternlab-config.json');
+var engineLoader = require('../core/lib/pattern_engines');
+engineLoader.loadAllEngines(config);
+
+const public_dir = './test/public/build_report/';
+
+tap.test('toJson - lists built and skipped patterns with their reason', function (test) {
+  //arrange
+  var report = new BuildReport();
+  var atom = new Pattern('00-test/01-atom.mustache');
+  var molecule = new Pattern('00-test/02-molecule.mustache');
+  var organism = new Pattern('00-test/03-organism.mustache');
+  var hidden = new Pattern('00-test/04-hidden.mustache');
+  hidden.isPattern = false;
+  report.setReason(atom, BuildReason.CHANGED);
+  report.setReason(molecule, BuildReason.DEPENDENCY_CHANGED);
+  report.patternBuilt(atom, 3);
+  report.patternBuilt(molecule, 5);
+
+  //act
+  var json = report.toJson([atom, molecule, organism, hidden]);
+
+  //assert
+  test.same(json.patterns, [
+    {pattern: 'test-atom', relPath: atom.relPath, status: 'built', reason: 'changed', renderTime: 3},
+    {pattern: 'test-molecule', relPath: molecule.relPath, status: 'built', reason: 'dependency changed', renderTime: 5},
+    {pattern: 'test-organism', relPath: organism.relPath, status: 'skipped', reason: 'clean'}
+  ]);
+  test.equals(json.totals.patterns, 3);
+  test.equals(json.totals.built, 2);
+  test.equals(json.totals.skipped, 1);
+  test.end();
+});
+
+tap.test('addWarning - records warnings of the current build only', function (test) {
+  //arrange
+  var patternlab = {buildReport: new BuildReport()};
+  var pattern = new Pattern('00-test/01-atom.mustache');
+
+  //act
+  BuildReport.addWarning(patternlab, WarningType.INVALID_JSON, 'Unexpected token', pattern);
+  BuildReport.addWarning({}, WarningType.INVALID_JSON, 'Not recorded anywhere');
+
+  //assert
+  var json = patternlab.buildReport.toJson([]);
+  test.same(json.warnings, [{
+    type: 'invalid json',
+    message: 'Unexpected token',
+    pattern: 'test-atom',
+    relPath: pattern.relPath
+  }]);
+  test.equals(json.totals.warnings, 1);
+  test.end();
+});
+
+tap.test('patternFailed - lists the pattern as failed with its error', function (test) {
+  //arrange
+  var report = new BuildReport();
+  var pattern = new Pattern('00-test/01-atom.mustache');
+  report.setReason(pattern, BuildReason.CHANGED);
+
+  //act
+  report.patternFailed(pattern, 'Parse error');
+
+  //assert
+  var json = report.toJson([pattern]);
+  test.equals(json.patterns[0].status, 'failed');
+  test.equals(json.totals.failed, 1);
+  test.same(json.errors, [{type: ErrorType.RENDER, message: 'Parse error', pattern: 'test-atom', relPath: pattern.relPath}]);
+  test.end();
+});
+
+tap.test('builtPatterns - lists the patterns rendered by the build', function (test) {
+  //arrange
+  var report = new BuildReport();
+  var atom = new Pattern('00-test/01-atom.mustache');
+  var molecule = new Pattern('00-test/02-molecule.mustache');
+  var organism = new Pattern('00-test/03-organism.mustache');
+  report.patternBuilt(atom, 3);
+  report.patternBuilt(molecule, 5);
+  report.patternFailed(organism, 'Oops');
+
+  //act
+  var built = report.builtPatterns();
+
+  //assert
+  test.same(built, [atom, molecule]);
+  test.end();
+});
+
+tap.test('toError - only strict builds with errors fail', function (test) {
+  //arrange
+  var report = new BuildReport();
+  var strictReport = new BuildReport(true);
+  var cleanStrictReport = new BuildReport(true);
+  var pattern = new Pattern('00-test/01-atom.mustache');
+
+  //act
+  [report, strictReport].forEach(r => {
+    r.patternFailed(pattern, 'Parse error');
+    r.addWarning(WarningType.MISSING_PARTIAL, 'Could not find pattern test-missing');
+    r.addWarning(WarningType.DEEP_NESTING, 'Too deep');
+  });
+
+  //assert
+  test.equals(report.toError(), null);
+  test.equals(cleanStrictReport.toError(), null);
+  var err = strictReport.toError();
+  test.ok(err instanceof BuildError);
+  test.ok(err instanceof Error);
+  test.same(err.errors.map(e => e.type), [ErrorType.RENDER, WarningType.MISSING_PARTIAL], 'strict mode turns missing partials into errors');
+  test.same(strictReport.warnings.map(w => w.type), [WarningType.DEEP_NESTING]);
+  test.ok(err.message.indexOf('test-atom: Parse error') > -1, 'the message lists the errors');
+  test.end();
+});
+
+tap.test('storeToFile - writes build-report.json to the public root', function (test) {
+  //arrange
+  var patternlab = {
+    config: {paths: {public: {root: public_dir}}},
+    patterns: [new Pattern('00-test/01-atom.mustache')],
+    buildReport: new BuildReport()
+  };
+
+  //act
+  BuildReport.storeToFile(patternlab);
+
+  //assert
+  var json = fs.readJSONSync(public_dir + 'build-report.json');
+  test.equals(json.patterns[0].pattern, 'test-atom');
+  test.equals(json.patterns[0].status, 'skipped');
+  fs.removeSync(public_dir);
+  test.end();
+});
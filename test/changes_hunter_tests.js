@@ -0,0 +1,230 @@
+"use strict";
+
+var tap = require('tap');
+var fs = require('fs-extra');
+var path = require('path');
+
+var ch = require('../core/lib/changes_hunter');
+var Pattern = require('../core/lib/object_factory').Pattern;
+var CompileState = require('../core/lib/object_factory').CompileState;
+var PatternGraph = require('../core/lib/pattern_graph').PatternGraph;
+var config = require('./util/patternlab-config.json');
+var engineLoader = require('../core/lib/pattern_engines');
+engineLoader.loadAllEngines(config);
+
+const patterns_dir = './test/files/_patterns';
+const public_patterns_dir = './test/public/changes_hunter/';
+
+function emptyPatternLab() {
+  return {
+    graph: PatternGraph.empty(),
+    config: {
+      paths: {
+        public: {
+          patterns: public_patterns_dir
+        }
+      },
+      outputFileSuffixes: {
+        rendered: '.rendered',
+        markupOnly: '.markup-only'
+      }
+    }
+  };
+}
+
+function writeOutput(pattern, patternlab) {
+  ['rendered', 'markupOnly'].forEach(type => {
+    fs.outputFileSync(public_patterns_dir + pattern.getPatternLink(patternlab, type), '');
+  });
+}
+
+tap.test('checkContentDigest - digest changes with the file contents', function (test) {
+  //arrange
+  var changes_hunter = new ch();
+  var pattern = new Pattern('00-test/01-bar.mustache');
+  var otherPattern = new Pattern('00-test/01-bar.mustache');
+
+  //act
+  changes_hunter.checkContentDigest(pattern, path.resolve(patterns_dir, '00-test/01-bar.mustache'));
+  changes_hunter.checkContentDigest(otherPattern, path.resolve(patterns_dir, '00-test/02-baz.mustache'));
+
+  //assert
+  test.equals(typeof pattern.digest, 'string');
+  test.notEqual(pattern.digest, otherPattern.digest);
+  test.end();
+});
+
+tap.test('checkContentDigest - ignores missing files', function (test) {
+  //arrange
+  var changes_hunter = new ch();
+  var pattern = new Pattern('00-test/01-bar.mustache');
+  changes_hunter.checkContentDigest(pattern, path.resolve(patterns_dir, '00-test/01-bar.mustache'));
+  var digest = pattern.digest;
+
+  //act
+  changes_hunter.checkContentDigest(pattern, path.resolve(patterns_dir, '00-test/01-bar.json'));
+  changes_hunter.checkContentDigest(pattern, undefined);
+
+  //assert
+  test.equals(pattern.digest, digest);
+  test.end();
+});
+
+tap.test('checkBuildState - pattern with the digest of the last build is clean', function (test) {
+  //arrange
+  var changes_hunter = new ch();
+  var patternlab = emptyPatternLab();
+  var pattern = new Pattern('00-test/01-bar.mustache');
+  pattern.digest = 'abc';
+  patternlab.graph.graph.setNode(pattern.relPath, {compileState: CompileState.CLEAN, digest: 'abc'});
+  writeOutput(pattern, patternlab);
+
+  //act
+  changes_hunter.checkBuildState(pattern, patternlab);
+
+  //assert
+  test.equals(pattern.compileState, CompileState.CLEAN);
+  fs.removeSync(public_patterns_dir);
+  test.end();
+});
+
+tap.test('checkBuildState - pattern with a changed digest needs rebuild', function (test) {
+  //arrange
+  var changes_hunter = new ch();
+  var patternlab = emptyPatternLab();
+  var pattern = new Pattern('00-test/01-bar.mustache');
+  pattern.digest = 'def';
+  patternlab.graph.graph.setNode(pattern.relPath, {compileState: CompileState.CLEAN, digest: 'abc'});
+  writeOutput(pattern, patternlab);
+
+  //act
+  changes_hunter.checkBuildState(pattern, patternlab);
+
+  //assert
+  test.equals(pattern.compileState, CompileState.NEEDS_REBUILD);
+  test.equals(patternlab.graph.node(pattern).compileState, CompileState.NEEDS_REBUILD);
+  fs.removeSync(public_patterns_dir);
+  test.end();
+});
+
+tap.test('checkBuildState - pattern without rendered output needs rebuild', function (test) {
+  //arrange
+  var changes_hunter = new ch();
+  var patternlab = emptyPatternLab();
+  var pattern = new Pattern('00-test/01-bar.mustache');
+  pattern.digest = 'abc';
+  patternlab.graph.graph.setNode(pattern.relPath, {compileState: CompileState.CLEAN, digest: 'abc'});
+
+  //act
+  changes_hunter.checkBuildState(pattern, patternlab);
+
+  //assert
+  test.equals(pattern.compileState, CompileState.NEEDS_REBUILD);
+  test.end();
+});
+
+tap.test('checkBuildState - clean pattern reading changed global data needs rebuild', function (test) {
+  //arrange
+  var changes_hunter = new ch();
+  var patternlab = emptyPatternLab();
+  patternlab.changedDataKeys = ['data.foo'];
+  var pattern = new Pattern('00-test/01-bar.mustache');
+  var otherPattern = new Pattern('00-test/02-baz.mustache');
+  pattern.digest = otherPattern.digest = 'abc';
+  patternlab.graph.graph.setNode(pattern.relPath, {compileState: CompileState.CLEAN, digest: 'abc', dataKeys: ['data.foo']});
+  patternlab.graph.graph.setNode(otherPattern.relPath, {compileState: CompileState.CLEAN, digest: 'abc', dataKeys: ['data.bar']});
+  writeOutput(pattern, patternlab);
+  writeOutput(otherPattern, patternlab);
+
+  //act
+  changes_hunter.checkBuildState(pattern, patternlab);
+  changes_hunter.checkBuildState(otherPattern, patternlab);
+
+  //assert
+  test.equals(pattern.compileState, CompileState.NEEDS_REBUILD);
+  test.same(pattern.dataKeys, []);
+  test.equals(otherPattern.compileState, CompileState.CLEAN);
+  test.same(otherPattern.dataKeys, ['data.bar']);
+  fs.removeSync(public_patterns_dir);
+  test.end();
+});
+
+tap.test('checkDataDigests - finds added, changed and removed global data', function (test) {
+  //arrange
+  var changes_hunter = new ch();
+  var patternlab = emptyPatternLab();
+  patternlab.data = {foo: 'foo', bar: {baz: 1}, removed: true};
+  patternlab.listitems = {1: {title: 'one'}};
+  changes_hunter.checkDataDigests(patternlab);
+
+  patternlab.data = {foo: 'foo', bar: {baz: 2}, added: true};
+
+  //act
+  var changedKeys = changes_hunter.checkDataDigests(patternlab);
+
+  //assert
+  test.same(changedKeys.sort(), ['data.added', 'data.bar', 'data.removed']);
+  test.same(Object.keys(patternlab.graph.dataDigests).sort(), ['data.added', 'data.bar', 'data.foo', 'listitems']);
+  test.end();
+});
+
+tap.test('trackDataKeys - records the global data read while rendering', function (test) {
+  //arrange
+  var changes_hunter = new ch();
+  var patternlab = emptyPatternLab();
+  patternlab.data = {foo: 'foo', bar: 'bar', baz: 'baz'};
+  patternlab.listitems = {};
+  changes_hunter.checkDataDigests(patternlab);
+
+  var pattern = new Pattern('00-test/01-bar.mustache');
+  pattern.template = pattern.extendedTemplate = '{{ foo }}{{# bar }}{{ baz }}{{/ bar }}{{ local }}';
+  pattern.dataKeys = [];
+  var data = {foo: 'foo', bar: false, baz: 'baz', local: 'local'};
+
+  //act
+  var result = pattern.render(changes_hunter.trackDataKeys(pattern, data, patternlab));
+
+  //assert
+  test.equals(result, 'foolocal');
+  test.same(pattern.dataKeys.sort(), ['data.bar', 'data.foo']);
+  test.end();
+});
+
+tap.test('trackDataKeys - records keys missing from the data, so that adding them counts as a change', function (test) {
+  //arrange
+  var changes_hunter = new ch();
+  var patternlab = emptyPatternLab();
+  patternlab.data = {foo: 'foo'};
+  patternlab.listitems = {};
+  changes_hunter.checkDataDigests(patternlab);
+
+  var pattern = new Pattern('00-test/01-bar.mustache');
+  pattern.template = pattern.extendedTemplate = '<a href="{{ url }}">{{ foo }}</a>';
+  pattern.dataKeys = [];
+  pattern.render(changes_hunter.trackDataKeys(pattern, {foo: 'foo'}, patternlab));
+
+  //act
+  patternlab.data.url = 'http://example.com';
+  patternlab.changedDataKeys = changes_hunter.checkDataDigests(patternlab);
+
+  //assert
+  test.ok(pattern.dataKeys.indexOf('data.url') > -1);
+  test.ok(changes_hunter.readsChangedData({dataKeys: pattern.dataKeys}, patternlab));
+  test.end();
+});
+
+tap.test('trackDataKeys - leaves the data of untracked patterns alone', function (test) {
+  //arrange
+  var changes_hunter = new ch();
+  var patternlab = emptyPatternLab();
+  var pattern = new Pattern('00-test/01-bar.mustache');
+  var data = {foo: 'foo'};
+
+  //act
+  var result = changes_hunter.trackDataKeys(pattern, data, patternlab);
+
+  //assert
+  test.equals(result, data);
+  test.equals(pattern.dataKeys, null);
+  test.end();
+});
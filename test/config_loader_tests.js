@@ -0,0 +1,109 @@
+"use strict";
+
+var tap = require('tap');
+var path = require('path');
+
+var cl = require('../core/lib/config_loader');
+var config_loader = new cl();
+
+const configDir = path.resolve(__dirname, 'files/config');
+
+tap.test('load_config - merges the base config over the config it extends', function (test) {
+  //arrange
+  var options = {cwd: configDir, environment: {}, argv: []};
+
+  //act
+  var config = config_loader.load_config(options);
+
+  //assert
+  test.equals(config.paths.source.patterns, './source/_patterns/', 'keys of the extended config are kept');
+  test.equals(config.paths.public.root, './public/dev/', 'keys of the base config win');
+  test.same(config.styleGuideExcludes, ['pages'], 'arrays are replaced, not merged');
+  test.equals(config.ishControlsHide.hay, true);
+  test.equals(config.extends, undefined);
+  test.end();
+});
+
+tap.test('load_config - merges the environment config selected by $PATTERNLAB_ENV or --env', function (test) {
+  //arrange
+  var fromVariable = {cwd: configDir, environment: {PATTERNLAB_ENV: 'staging'}, argv: []};
+  var fromFlag = {cwd: configDir, environment: {}, argv: ['node', 'build.js', '--env=staging']};
+
+  //act
+  var configs = [config_loader.load_config(fromVariable), config_loader.load_config(fromFlag)];
+
+  //assert
+  configs.forEach(config => {
+    test.equals(config.paths.public.root, './public/staging/');
+    test.equals(config.cacheBust, false);
+    test.equals(config.paths.source.root, './source/');
+  });
+  test.end();
+});
+
+tap.test('load_config - overrides single keys by PATTERNLAB_* environment variables', function (test) {
+  //arrange
+  var options = {
+    cwd: configDir,
+    argv: [],
+    environment: {
+      PATTERNLAB_PATHS__PUBLIC__ROOT: './public/docs/',
+      PATTERNLAB_CACHE_BUST: 'false',
+      PATTERNLAB_ISH_CONTROLS_HIDE__DISCO: 'true',
+      PATTERNLAB_PATTERN_EXPORT_PATTERN_PARTIALS: '["atoms-button"]',
+      PATTERNLAB_NOT_A_KEY: 'ignored'
+    }
+  };
+
+  //act
+  var config = config_loader.load_config(options);
+
+  //assert
+  test.equals(config.paths.public.root, './public/docs/');
+  test.equals(config.cacheBust, false);
+  test.equals(config.ishControlsHide.disco, true);
+  test.same(config.patternExportPatternPartials, ['atoms-button']);
+  test.equals(config.NOT_A_KEY, undefined);
+  test.equals(config.notAKey, undefined);
+  test.end();
+});
+
+tap.test('load_config - resolves extended packages from the node_modules of the config file', function (test) {
+  //arrange
+  var fs = require('fs-extra');
+  var os = require('os');
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pl-config-'));
+  var packageDir = path.join(dir, 'node_modules', 'patternlab-config-shared');
+  fs.mkdirsSync(packageDir);
+  fs.writeFileSync(path.join(packageDir, 'package.json'), JSON.stringify({name: 'patternlab-config-shared', main: 'config.json'}));
+  fs.writeFileSync(path.join(packageDir, 'config.json'), JSON.stringify({cacheBust: false, defaultPattern: 'all'}));
+  fs.writeFileSync(path.join(dir, 'patternlab-config.json'), JSON.stringify({extends: 'patternlab-config-shared', defaultPattern: 'atoms-button'}));
+  var options = {cwd: dir, environment: {}, argv: []};
+
+  //act
+  var config = config_loader.load_config(options);
+
+  //assert
+  test.equals(config.cacheBust, false);
+  test.equals(config.defaultPattern, 'atoms-button');
+  fs.removeSync(dir);
+  test.end();
+});
+
+tap.test('load_config - fails on circular extends', function (test) {
+  //arrange
+  var options = {cwd: configDir, configPath: 'circular.json', environment: {}, argv: []};
+
+  //act, assert
+  test.throws(() => config_loader.load_config(options), /circular "extends"/);
+  test.end();
+});
+
+tap.test('load_config - fails if there is no config file', function (test) {
+  //arrange
+  var options = {cwd: path.resolve(__dirname, 'files/_data'), environment: {}, argv: []};
+
+  //act, assert
+  test.throws(() => config_loader.load_config(options), /Could not find a configuration file/);
+  test.end();
+});
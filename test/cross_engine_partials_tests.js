@@ -0,0 +1,144 @@
+"use strict";
+
+var tap = require('tap');
+
+var cep = require('../core/lib/cross_engine_partials');
+var pa = require('../core/lib/pattern_assembler');
+var pr = require('../core/lib/pattern_renderer');
+var Pattern = require('../core/lib/object_factory').Pattern;
+var PatternGraph = require('../core/lib/pattern_graph').PatternGraph;
+var config = require('./util/patternlab-config.json');
+var engineLoader = require('../core/lib/pattern_engines');
+engineLoader.loadAllEngines(config);
+
+var cross_engine_partials = new cep();
+var pattern_assembler = new pa();
+var pattern_renderer = new pr();
+
+function fakePatternLab() {
+  return {
+    graph: PatternGraph.empty(),
+    partials: {},
+    patterns: [],
+    data: {link: {}},
+    listitems: {},
+    config: {
+      debug: false,
+      outputFileSuffixes: config.outputFileSuffixes
+    }
+  };
+}
+
+function addPattern(relPath, template, patternlab) {
+  var pattern = Pattern.create(relPath, null, {template: template, extendedTemplate: template});
+  pattern.stylePartials = pattern.findPartialsWithStyleModifiers();
+  pattern.parameteredPartials = pattern.findPartialsWithPatternParameters();
+  pattern_assembler.addPattern(pattern, patternlab);
+  return pattern;
+}
+
+// decompose the included patterns first, like a build does
+function decompose(patterns, patternlab) {
+  patterns.forEach(pattern => pattern_assembler.decomposePattern(pattern, patternlab));
+}
+
+tap.test('placeholder - is found with the included pattern and the data of the include', function (test) {
+  //arrange
+  var data = {styleModifier: 'fancy', 'a-key': 'a <value> with -- and :'};
+
+  //act
+  var found = cross_engine_partials.find('<div>' + cross_engine_partials.placeholder('atoms-foo', data) + cross_engine_partials.placeholder('atoms-bar') + '</div>');
+
+  //assert
+  test.equals(found.length, 2);
+  test.equals(found[0].patternPartial, 'atoms-foo');
+  test.same(found[0].data, data);
+  test.equals(found[1].patternPartial, 'atoms-bar');
+  test.same(found[1].data, {});
+  test.end();
+});
+
+tap.test('render_pattern - renders a handlebars pattern included by a mustache pattern with its own engine', function (test) {
+  //arrange
+  var patternlab = fakePatternLab();
+  var atom = addPattern('00-test/00-atom.hbs', '<span class="{{ styleModifier }}">{{#if title}}{{ title }}{{/if}}</span>', patternlab);
+  var molecule = addPattern('00-test/01-molecule.mustache', '<div>{{> test-atom:fancy|big }}{{> test-atom }}</div>', patternlab);
+  decompose([atom, molecule], patternlab);
+
+  //act
+  pattern_renderer.render_pattern(molecule, {title: 'Hello'}, patternlab).then(html => {
+
+    //assert
+    test.equals(html, '<div><span class="fancy big">Hello</span><span class="">Hello</span></div>');
+    test.same(molecule.lineageIndex, ['test-atom']);
+    test.same(atom.lineageRIndex, ['test-molecule']);
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('render_pattern - renders a mustache pattern included by a handlebars pattern with its own engine', function (test) {
+  //arrange
+  var patternlab = fakePatternLab();
+  var atom = addPattern('00-test/00-atom.mustache', '<b>{{ title }}</b>', patternlab);
+  var molecule = addPattern('00-test/01-molecule.hbs', '<div>{{> test-atom }}</div>', patternlab);
+  decompose([atom, molecule], patternlab);
+
+  //act
+  pattern_renderer.render_pattern(molecule, {title: 'Hello'}, patternlab).then(html => {
+
+    //assert
+    test.equals(html, '<div><b>Hello</b></div>');
+    test.same(molecule.lineageIndex, ['test-atom']);
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('render_pattern - renders a mustache pattern included by a twig pattern with its own engine', {skip: !engineLoader.twig}, function (test) {
+  //arrange
+  var patternlab = fakePatternLab();
+  var atom = addPattern('00-test/00-atom.mustache', '<b>{{ title }}</b>', patternlab);
+  var molecule = addPattern('00-test/01-molecule.twig', '<div>{% include "test-atom" %}{{ title }}</div>', patternlab);
+  decompose([atom, molecule], patternlab);
+
+  //act
+  pattern_renderer.render_pattern(molecule, {title: 'Hello'}, patternlab).then(html => {
+
+    //assert
+    test.equals(html, '<div><b>Hello</b>Hello</div>');
+    test.same(molecule.lineageIndex, ['test-atom']);
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('render_pattern - passes pattern parameters and list items on to patterns of other engines', function (test) {
+  //arrange
+  var patternlab = fakePatternLab();
+  patternlab.listitems = {'1': [{title: 'item'}]};
+  var atom = addPattern('00-test/00-atom.hbs', '<span>{{ title }}</span>', patternlab);
+  var molecule = addPattern('00-test/01-molecule.mustache', '{{> test-atom(title: "parameter") }}{{#listItems.one}}{{> test-atom }}{{/listItems.one}}', patternlab);
+  decompose([atom, molecule], patternlab);
+
+  //act
+  pattern_renderer.render_pattern(molecule, {title: 'Hello'}, patternlab).then(html => {
+
+    //assert
+    test.equals(html, '<span>parameter</span><span>item</span>');
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('render_pattern - leaves out patterns including themselves across engines', function (test) {
+  //arrange
+  var patternlab = fakePatternLab();
+  var hbs = addPattern('00-test/00-loop.hbs', '<i>{{> test-loop-back }}</i>', patternlab);
+  var mustache = addPattern('00-test/01-loop-back.mustache', '<b>{{> test-loop }}</b>', patternlab);
+  decompose([hbs, mustache], patternlab);
+
+  //act
+  pattern_renderer.render_pattern(hbs, {}, patternlab).then(html => {
+
+    //assert
+    test.equals(html, '<i><b></b></i>');
+    test.end();
+  }).catch(test.threw);
+});
@@ -11,3 +11,113 @@ tap.test('loadDataFromFile - Load ', function(test){
   test.equals(data.foo, 'bar');
   test.end();
 });
+
+tap.test('loadDataFromFile - Loads data modules, passing functions the config', function(test){
+  const fs = require('fs-extra'),
+    dataLoader = require('../core/lib/data_loader')(),
+    data_dir = './test/files/_data/';
+
+  let data = dataLoader.loadDataFromFile(data_dir + 'from_cjs', fs, {defaultPattern: 'all'});
+  test.equals(data.from_cjs, 'from_cjs');
+  test.equals(data.defaultPattern, 'all');
+  test.end();
+});
+
+tap.test('loadDataFromFile - Loads only modules named as data', function(test){
+  const fs = require('fs-extra'),
+    dataLoader = require('../core/lib/data_loader')(),
+    patterns_dir = './test/files/_data-module-patterns/00-test/';
+
+  test.equals(dataLoader.loadDataFromFile(patterns_dir + '02-scripted', fs, {}), null, 'leaves the script of a pattern alone');
+  test.same(dataLoader.loadDataFromFile(patterns_dir + '00-dated.listitems', fs, {}), {'1': {title: 'first'}});
+  test.end();
+});
+
+tap.test('loadDataFromFile - Loads the local modules data modules require anew', function(test){
+  const fs = require('fs-extra'),
+    os = require('os'),
+    path = require('path'),
+    dataLoader = require('../core/lib/data_loader')();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pl-data-'));
+  fs.writeFileSync(path.join(dir, 'helper.js'), 'module.exports = "first";');
+  fs.writeFileSync(path.join(dir, 'uses-helper.data.js'), 'module.exports = {helped: require("./helper")};');
+
+  const first = dataLoader.loadDataFromFile(path.join(dir, 'uses-helper'), fs, {});
+  fs.writeFileSync(path.join(dir, 'helper.js'), 'module.exports = "second";');
+  const second = dataLoader.loadDataFromFile(path.join(dir, 'uses-helper'), fs, {});
+
+  test.equals(first.helped, 'first');
+  test.equals(second.helped, 'second');
+  test.same(dataLoader.findReferencedFiles(path.join(dir, 'uses-helper.data.js')), [path.join(dir, 'helper.js')], 'changing them rebuilds the patterns using the data');
+  test.equals(module.children.concat(require.cache[require.resolve('../core/lib/data_loader')].children)
+    .filter(child => child.filename.indexOf(dir) === 0).length, 0, 'reloaded modules are not kept as children');
+  fs.removeSync(dir);
+  test.end();
+});
+
+tap.test('loadDataFromFolder - Resolves to the merged data once data modules computed it asynchronously', function(test){
+  const fs = require('fs-extra'),
+    dataLoader = require('../core/lib/data_loader')(),
+    data_dir = './test/files/_data-modules/';
+
+  dataLoader.loadDataFromFolder(data_dir, 'listitems', fs, {defaultPattern: 'all'}).then(data => {
+    test.equals(data.from_async, 'from_async');
+    test.equals(data.defaultPattern, 'all');
+    test.equals(data.overridden, 'static', 'the files are merged in their order');
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('loadDataFromFile - Resolves $ref to data of other files and merges the other keys over it', function(test){
+  const fs = require('fs-extra'),
+    path = require('path'),
+    dataLoader = require('../core/lib/data_loader')(),
+    refs_dir = './test/files/_data-refs/';
+  const config = {paths: {source: {data: refs_dir + '_data/', patterns: refs_dir + '_patterns/'}}};
+
+  let data = dataLoader.loadDataFromFile(refs_dir + '_patterns/00-test/00-author', fs, config);
+  test.same(data.author, {name: 'Alice', role: 'guest author'});
+  test.same(data.editors, [{name: 'Bob', role: 'editor', avatar: {src: 'bob.png'}}], 'resolves the yaml !ref tag relative to the referencing file');
+  test.equals(data.title, 'Authors', 'resolves references into the same file');
+  test.same(dataLoader.findReferencedFiles(refs_dir + '_patterns/00-test/00-author.json'), [
+    path.resolve(refs_dir, '_data/users.yaml'),
+    path.resolve(refs_dir, '_data/avatars.json')
+  ]);
+  test.end();
+});
+
+tap.test('loadDataFromFile - Reports circular and unresolvable $ref with the referencing file', function(test){
+  const fs = require('fs-extra'),
+    path = require('path'),
+    dataLoader = require('../core/lib/data_loader')(),
+    broken_dir = './test/files/_data-refs/broken/';
+
+  const circular = path.join('test', 'files', '_data-refs', 'broken', 'circular.json');
+  const circularOther = path.join('test', 'files', '_data-refs', 'broken', 'circular-other.json');
+  test.throws(() => dataLoader.loadDataFromFile(broken_dir + 'circular', fs, {}), {
+    message: `Error loading file: ${broken_dir}circular.json - Error resolving $ref "./circular-other.json#/b" in ${circular}: ` +
+      `it is circular: ${circular}# -> ${circularOther}#/b -> ${circular}#/a -> ${circularOther}#/b`
+  });
+  test.throws(() => dataLoader.loadDataFromFile(broken_dir + 'missing', fs, {}), {
+    message: `Error loading file: ${broken_dir}missing.json - Error resolving $ref "#/nowhere" in ${path.join('test', 'files', '_data-refs', 'broken', 'missing.json')}: there is no data at #/nowhere`
+  });
+  test.end();
+});
+
+tap.test('loadDataFromFile - Replaces $fake declarations by the data they generate', function(test){
+  const fs = require('fs-extra'),
+    dataLoader = require('../core/lib/data_loader')(),
+    fake_dir = './test/files/_data-fake/';
+
+  let listitems = dataLoader.loadDataFromFile(fake_dir + 'listitems', fs, {});
+  test.equals(listitems.length, 20);
+  test.same(Object.keys(listitems[0]), ['title', 'author', 'img']);
+  test.same(dataLoader.loadDataFromFile(fake_dir + 'listitems', fs, {}), listitems, 'generates the same data each time');
+
+  let data = dataLoader.loadDataFromFile(fake_dir + 'products', fs, {});
+  test.equals(data.heading, 'Products');
+  test.equals(data.prices.length, 3);
+  test.match(data.released, /^2017-/);
+  test.notSame(data.names[0], data.names[1], 'seeds declarations by their location');
+  test.end();
+});
@@ -0,0 +1,251 @@
+"use strict";
+
+var tap = require('tap');
+var http = require('http');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+var fs = require('fs-extra');
+
+var DevServer = require('../core/lib/dev_server');
+
+var root = path.join(os.tmpdir(), 'patternlab-dev-server-tests');
+fs.emptyDirSync(root);
+fs.outputFileSync(path.join(root, 'index.html'), '<html><body><h1>Index</h1></body></html>');
+fs.outputFileSync(path.join(root, 'css', 'style.css'), 'body {}');
+fs.outputFileSync(path.join(root, 'patterns', 'index.html'), '<p>View all</p>');
+
+function createServer(options) {
+  return new DevServer(Object.assign({root: root, host: '127.0.0.1', port: 0}, options)).start();
+}
+
+function get(server, requestPath) {
+  return new Promise(function (resolve, reject) {
+    http.get(server.url + requestPath, function (res) {
+      var body = '';
+      res.setEncoding('utf8');
+      res.on('data', function (chunk) { body += chunk; });
+      res.on('end', function () {
+        res.body = body;
+        resolve(res);
+      });
+    }).on('error', reject);
+  });
+}
+
+function connectSocket(server) {
+  return new Promise(function (resolve, reject) {
+    http.request(server.url + '/__patternlab/socket', {
+      headers: {
+        'Connection': 'Upgrade',
+        'Upgrade': 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64')
+      }
+    }).on('upgrade', function (res, socket) {
+      resolve(socket);
+    }).on('error', reject).end();
+  });
+}
+
+function readFrame(socket) {
+  return new Promise(function (resolve) {
+    socket.once('data', function (data) {
+      resolve({opcode: data[0] % 16, payload: data.slice(2, 2 + data[1] % 128).toString('utf8')});
+    });
+  });
+}
+
+tap.test('DevServer - serves files and injects the reload client into html pages', function (test) {
+  //arrange
+  createServer().then(function (server) {
+
+    //act
+    return Promise.all([
+      get(server, '/'),
+      get(server, '/css/style.css'),
+      get(server, '/patterns'),
+      get(server, '/patterns/'),
+      get(server, '/__patternlab/reload.js'),
+      get(server, '/%2e%2e/package.json')
+    ]).then(function (responses) {
+      //assert
+      test.equals(responses[0].statusCode, 200);
+      test.equals(responses[0].headers['content-type'], 'text/html; charset=utf-8');
+      test.equals(responses[0].body, '<html><body><h1>Index</h1><script src="/__patternlab/reload.js"></script></body></html>');
+      test.equals(responses[1].headers['content-type'], 'text/css; charset=utf-8');
+      test.equals(responses[1].body, 'body {}');
+      test.equals(responses[2].statusCode, 301);
+      test.equals(responses[2].headers.location, '/patterns/');
+      test.equals(responses[3].body, '<p>View all</p><script src="/__patternlab/reload.js"></script>');
+      test.equals(responses[4].headers['content-type'], 'application/javascript; charset=utf-8');
+      test.equals(responses[5].statusCode, 404, 'does not serve files outside of the root');
+      return server.close();
+    });
+  }).then(test.end).catch(test.threw);
+});
+
+tap.test('DevServer - serves the fallback file for missing files and runs middleware first', function (test) {
+  //arrange
+  var middleware = function (req, res, next) {
+    if (req.url === '/__custom') {
+      res.end('custom');
+    } else {
+      next();
+    }
+  };
+
+  createServer({file: 'index.html', middleware: [middleware]}).then(function (server) {
+
+    //act
+    return Promise.all([
+      get(server, '/missing.html'),
+      get(server, '/__custom')
+    ]).then(function (responses) {
+      //assert
+      test.equals(responses[0].statusCode, 200);
+      test.ok(responses[0].body.indexOf('<h1>Index</h1>') > -1);
+      test.equals(responses[1].body, 'custom');
+      return server.close();
+    });
+  }).then(test.end).catch(test.threw);
+});
+
+tap.test('DevServer - broadcasts messages to connected pages over a WebSocket', function (test) {
+  //arrange
+  createServer().then(function (server) {
+    return connectSocket(server).then(function (socket) {
+
+      //act
+      var received = readFrame(socket);
+      server.broadcast({type: 'reload', paths: ['/patterns/foo/foo.html']});
+
+      return received.then(function (frame) {
+        //assert
+        test.equals(frame.opcode, 1);
+        test.same(JSON.parse(frame.payload), {type: 'reload', paths: ['/patterns/foo/foo.html']});
+
+        // a masked ping frame is answered with a pong frame of the unmasked payload
+        var ponged = readFrame(socket);
+        socket.write(Buffer.from([0x89, 0x82, 1, 2, 3, 4, 0x69, 0x6b]));
+        return ponged;
+      }).then(function (frame) {
+        test.equals(frame.opcode, 10);
+        test.equals(frame.payload, 'hi');
+
+        // a masked close frame from the client is answered with a close frame
+        var closed = readFrame(socket);
+        socket.write(Buffer.from([0x88, 0x80, 1, 2, 3, 4]));
+        return closed;
+      }).then(function (frame) {
+        test.equals(frame.opcode, 8);
+        return server.close();
+      });
+    });
+  }).then(test.end).catch(test.threw);
+});
+
+tap.test('DevServer - closes connections sending frames which are too large', function (test) {
+  //arrange
+  createServer().then(function (server) {
+    return Promise.all([connectSocket(server), connectSocket(server)]).then(function (sockets) {
+      var closed = sockets.map(function (socket) {
+        return new Promise(function (resolve) {
+          socket.on('close', resolve);
+        });
+      });
+
+      //act
+      sockets[0].write(Buffer.from([0x89, 0xff, 0, 0, 0, 1, 0, 0, 0, 0]));
+      sockets[1].write(Buffer.from([0x89, 0xff, 0, 0, 0, 0, 0, 1, 0, 1]));
+
+      return Promise.all(closed).then(function () {
+        //assert
+        test.equals(server.clients.size, 0);
+        return server.close();
+      });
+    });
+  }).then(test.end).catch(test.threw);
+});
+
+tap.test('DevServer - answers 500 for middleware failing asynchronously', function (test) {
+  //arrange
+  var plutils = require('../core/lib/utilities');
+  var errors = [];
+  var onError = function (message) {
+    errors.push(message);
+  };
+  plutils.log.on('error', onError);
+  var middleware = function (req, res, next) {
+    if (req.url === '/__rejected') {
+      return Promise.reject(new Error('rejected'));
+    }
+    if (req.url === '/__failed') {
+      setTimeout(function () {
+        next(new Error('failed'));
+      }, 0);
+      return undefined;
+    }
+    setTimeout(function () {
+      next();
+    }, 0);
+    return undefined;
+  };
+
+  createServer({middleware: [middleware, function () {
+    throw new Error('thrown');
+  }]}).then(function (server) {
+
+    //act
+    return Promise.all([
+      get(server, '/__rejected'),
+      get(server, '/__failed'),
+      get(server, '/__thrown')
+    ]).then(function (responses) {
+      //assert
+      test.same(responses.map(function (res) { return res.statusCode; }), [500, 500, 500]);
+      test.same(responses.map(function (res) { return res.body; }), ['rejected', 'failed', 'thrown']);
+      test.equals(errors.length, 3, 'logs each failure');
+      plutils.log.removeListener('error', onError);
+      return server.close();
+    });
+  }).then(test.end).catch(test.threw);
+});
+
+tap.test('DevServer - close stops the server while pages are connected', function (test) {
+  //arrange
+  createServer().then(function (server) {
+    return connectSocket(server).then(function () {
+
+      //act
+      return server.close();
+    }).then(function () {
+      //assert
+      test.equals(server.httpServer.listening, false);
+      test.equals(server.clients.size, 0);
+    });
+  }).then(test.end).catch(test.threw);
+});
+
+tap.test('DevServer - uses a free port if the configured one is taken', function (test) {
+  //arrange
+  createServer().then(function (first) {
+    var port = first.httpServer.address().port;
+
+    //act
+    return createServer({port: port}).then(function (second) {
+      //assert
+      test.notEqual(second.httpServer.address().port, port);
+      return Promise.all([first.close(), second.close()]);
+    });
+  }).then(test.end).catch(test.threw);
+});
+
+tap.test('DevServer - serves on localhost only by default', function (test) {
+  //act
+  var server = new DevServer({root: root});
+
+  //assert
+  test.equals(server.options.host, 'localhost');
+  test.end();
+});
@@ -0,0 +1,56 @@
+"use strict";
+
+var tap = require('tap');
+
+var conformance = require('../core/lib/engine_conformance');
+var config = require('./util/patternlab-config.json');
+var engineLoader = require('../core/lib/pattern_engines');
+engineLoader.loadAllEngines(config);
+
+var listItems = '{{#listItems.three}}{{ title }}{{/listItems.three}}';
+
+// the same contract, written in the syntax of each engine
+var fixtures = {
+  mustache: {
+    template: 'Hello {{ subject }}!',
+    data: {subject: 'world'},
+    expected: 'Hello world!',
+    partial: '{{> atoms-foo }}',
+    verbosePartial: '{{> 00-atoms/00-global/00-foo }}',
+    partialWithStyleModifier: '{{> atoms-foo:bar }}',
+    partialWithPatternParameters: '{{> atoms-foo(subject: "you") }}',
+    listItems: listItems
+  },
+  handlebars: {
+    template: 'Hello {{ subject }}!',
+    data: {subject: 'world'},
+    expected: 'Hello world!',
+    partial: '{{> atoms-foo }}',
+    verbosePartial: '{{> 00-atoms/00-global/00-foo }}',
+    listItems: listItems
+  },
+  twig: {
+    template: 'Hello {{ subject }}!',
+    data: {subject: 'world'},
+    expected: 'Hello world!',
+    partial: '{% include "atoms-foo" %}',
+    listItems: listItems
+  },
+  underscore: {
+    template: 'Hello <%= subject %>!',
+    data: {subject: 'world'},
+    expected: 'Hello world!',
+    partial: '<%= _.renderNamedPartial("atoms-foo", obj) %>',
+    listItems: listItems
+  }
+};
+
+Object.keys(fixtures).forEach(function (engineName) {
+  // don't run the kit against engines that aren't installed
+  if (engineLoader[engineName]) {
+    conformance(tap, engineLoader[engineName], fixtures[engineName]);
+  }
+});
+
+// engines rendering asynchronously fulfil the same contract
+conformance(tap, require('./files/engines/engine_async'), fixtures.mustache);
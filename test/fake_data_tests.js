@@ -0,0 +1,80 @@
+"use strict";
+
+var tap = require('tap');
+
+var fd = require('../core/lib/fake_data');
+var fake_data = new fd();
+
+tap.test('generate - generates the same data for the same seed', function (test) {
+  //arrange
+  var declaration = {$fake: 'person.name', count: 12, seed: 42};
+
+  //act
+  var names = fake_data.generate(declaration);
+
+  //assert
+  test.equals(names.length, 12);
+  test.same(fake_data.generate(declaration), names);
+  test.notSame(fake_data.generate({$fake: 'person.name', count: 12, seed: 43}), names);
+  test.end();
+});
+
+tap.test('generate - generates objects of the declared shape, passing options to the generators', function (test) {
+  //arrange
+  var declaration = {
+    $fake: {
+      title: 'lorem.sentence',
+      price: {$fake: 'commerce.price', min: 5, max: 10, currency: '€'},
+      released: {$fake: 'date.date', from: '2017-03-01', to: '2017-03-31'},
+      img: {$fake: 'image.placeholder', width: 320, height: 240},
+      tags: {$fake: 'lorem.word', count: 2}
+    },
+    count: 5,
+    seed: 1
+  };
+
+  //act
+  var items = fake_data.generate(declaration);
+
+  //assert
+  test.equals(items.length, 5);
+  items.forEach(function (item) {
+    test.match(item.title, /^[A-Z][a-z ]+\.$/);
+    test.match(item.price, /^€([5-9]\.\d\d|10\.00)$/);
+    test.match(item.released, /^2017-03-\d\d$/);
+    test.match(item.img.src, /^data:image\/svg\+xml,.*width%3D%22320%22%20height%3D%22240%22/);
+    test.equals(item.img.alt, 'Placeholder image, 320 by 240');
+    test.equals(item.tags.length, 2);
+  });
+  test.end();
+});
+
+tap.test('generate - reports unknown generators and invalid counts', function (test) {
+  //act & assert
+  test.throws(() => fake_data.generate({$fake: 'person.nmae'}), /"person.nmae" is not a \$fake generator, which are person.firstName, /);
+  test.throws(() => fake_data.generate({$fake: {name: 42}}), /\$fake must name a generator or be an object of them, not 42/);
+  test.throws(() => fake_data.generate({$fake: 'lorem.word', count: 1.5}), /the count of \$fake must be a whole number, not 1.5/);
+  test.end();
+});
+
+tap.test('resolve - replaces declarations by generated data, seeded by their location unless declared', function (test) {
+  //arrange
+  var data = {
+    heading: 'People',
+    people: {$fake: 'person.name', count: 3},
+    others: {$fake: 'person.name', count: 3},
+    seeded: [{$fake: 'person.name', seed: 42}]
+  };
+
+  //act
+  var resolved = fake_data.resolve(data);
+
+  //assert
+  test.equals(resolved.heading, 'People');
+  test.equals(resolved.people.length, 3);
+  test.notSame(resolved.others, resolved.people);
+  test.same(fake_data.resolve(data), resolved);
+  test.equals(resolved.seeded[0], fake_data.generate({$fake: 'person.name', seed: 42}));
+  test.throws(() => fake_data.resolve({a: [{$fake: 'nothing'}]}), /^Error generating \$fake data at #\/a\/0: "nothing" is not a \$fake generator/);
+  test.end();
+});
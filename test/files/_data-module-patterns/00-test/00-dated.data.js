@@ -0,0 +1,8 @@
+"use strict";
+
+module.exports = function (config) {
+  return Promise.resolve({
+    date: "today",
+    defaultPattern: config.defaultPattern
+  });
+};
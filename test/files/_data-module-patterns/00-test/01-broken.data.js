@@ -0,0 +1,5 @@
+"use strict";
+
+module.exports = function () {
+  return Promise.reject(new Error('the data could not be computed'));
+};
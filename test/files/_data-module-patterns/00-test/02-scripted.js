@@ -0,0 +1,2 @@
+// the script of a pattern, which is not its data
+document.querySelector('.scripted').classList.add('is-ready');
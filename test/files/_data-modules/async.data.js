@@ -0,0 +1,13 @@
+"use strict";
+
+module.exports = function (config) {
+  return new Promise(function (resolve) {
+    setImmediate(function () {
+      resolve({
+        from_async: "from_async",
+        defaultPattern: config.defaultPattern,
+        overridden: "by static.json"
+      });
+    });
+  });
+};
@@ -0,0 +1,9 @@
+"use strict";
+
+// data modules may export a function receiving the patternlab config
+module.exports = function (config) {
+  return {
+    from_cjs: "from_cjs",
+    defaultPattern: config && config.defaultPattern
+  };
+};
@@ -0,0 +1,5 @@
+"use strict";
+
+module.exports = {
+  from_js: "from_js"
+};
@@ -0,0 +1,10 @@
+"use strict";
+
+module.exports = {
+  paths: {
+    public: {
+      root: './public/staging/'
+    }
+  },
+  cacheBust: false
+};
@@ -0,0 +1,16 @@
+"use strict";
+
+var mustache = require('patternengine-node-mustache');
+
+// the mustache engine, rendering asynchronously like engines returning a Promise do
+module.exports = Object.assign({}, mustache, {
+  engineName: 'async',
+  engineFileExtension: ['.async'],
+  renderPattern: function (pattern, data, partials) {
+    return new Promise(function (resolve) {
+      setImmediate(function () {
+        resolve(mustache.renderPattern(pattern, data, partials));
+      });
+    });
+  }
+});
@@ -0,0 +1,30 @@
+"use strict";
+
+// a pattern engine stopping the thread rendering a pattern, registered by path in the render_pool tests
+module.exports = {
+  engineName: 'crash',
+  engineFileExtension: ['.crash'],
+  expandPartials: false,
+  renderPattern: function (pattern) {
+    if (pattern.template === 'crash') {
+      process.exit(3);
+    }
+    return pattern.template;
+  },
+  findPartials: function () {
+    return [];
+  },
+  findPartialsWithStyleModifiers: function () {
+    return [];
+  },
+  findPartialsWithPatternParameters: function () {
+    return [];
+  },
+  findListItems: function () {
+    return [];
+  },
+  findPartial: function (partialString) {
+    return partialString;
+  },
+  registerPartial: function () {}
+};
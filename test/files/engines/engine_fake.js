@@ -0,0 +1,27 @@
+"use strict";
+
+// a minimal pattern engine, registered by path in the pattern_engines tests
+module.exports = {
+  engineName: 'fake',
+  engineFileExtension: ['.fake', '.mustache'],
+  expandPartials: false,
+  renderPattern: function (pattern) {
+    return 'fake:' + pattern.template;
+  },
+  findPartials: function () {
+    return [];
+  },
+  findPartialsWithStyleModifiers: function () {
+    return [];
+  },
+  findPartialsWithPatternParameters: function () {
+    return [];
+  },
+  findListItems: function () {
+    return [];
+  },
+  findPartial: function (partialString) {
+    return partialString;
+  },
+  registerPartial: function () {}
+};
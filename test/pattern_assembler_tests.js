@@ -6,6 +6,8 @@ var pa = require('../core/lib/pattern_assembler');
 var Pattern = require('../core/lib/object_factory').Pattern;
 var CompileState = require('../core/lib/object_factory').CompileState;
 var PatternGraph = require('../core/lib/pattern_graph').PatternGraph;
+var BuildReport = require('../core/lib/build_report').BuildReport;
+var WarningType = require('../core/lib/build_report').WarningType;
 var path = require('path');
 var config = require('./util/patternlab-config.json');
 var engineLoader = require('../core/lib/pattern_engines');
@@ -496,6 +498,25 @@ tap.test('processPatternRecursive - 685 ensure listitems data is used', function
   }).catch(test.threw);
 });
 
+tap.test('combine_listItems - numbers list items generated as an array', function(test) {
+  //arrange
+  var fs = require('fs-extra');
+  var da = require('../core/lib/data_loader');
+  var pattern_assembler = new pa();
+  var pl = {};
+  pl.listitems = new da().loadDataFromFile('./test/files/_data-fake/listitems', fs, {});
+  var generated = pl.listitems.slice();
+  var byTitle = (a, b) => a.title.localeCompare(b.title);
+
+  //act
+  pattern_assembler.combine_listItems(pl);
+
+  //assert
+  test.same(Object.keys(pl.listitems), generated.map((item, index) => String(index + 1)));
+  test.same(pl.listitems['20'].slice().sort(byTitle), generated.sort(byTitle));
+  test.end();
+});
+
 tap.test('parseDataLinks - replaces found link.* data for their expanded links', function(test) {
   //arrange
   var diveSync = require('diveSync');
@@ -604,6 +625,47 @@ tap.test('get_pattern_by_key - returns the exact key if found', function(test) {
   test.end();
 });
 
+tap.test('get_pattern_by_key - records a missing partial in the build report', function(test) {
+  //arrange
+  var pattern_assembler = new pa();
+  var patternlab = emptyPatternLab();
+  patternlab.patterns = [];
+  patternlab.buildReport = new BuildReport();
+
+  //act
+  var result = pattern_assembler.getPartial('molecules-does-not-exist', patternlab);
+
+  //assert
+  test.equals(result, undefined);
+  test.equals(patternlab.buildReport.warnings.length, 1);
+  test.equals(patternlab.buildReport.warnings[0].type, WarningType.MISSING_PARTIAL);
+  test.ok(patternlab.buildReport.warnings[0].message.indexOf('molecules-does-not-exist') > -1);
+  test.end();
+});
+
+tap.test('get_pattern_by_key - names the including pattern of a missing partial once', function(test) {
+  //arrange
+  var pattern_assembler = new pa();
+  var patternlab = emptyPatternLab();
+  patternlab.patterns = [];
+  patternlab.buildReport = new BuildReport();
+  var foo = new Pattern('00-test/01-foo.mustache');
+  var baz = new Pattern('00-test/02-baz.mustache');
+
+  //act
+  pattern_assembler.getPartial('test-bar', patternlab, foo);
+  pattern_assembler.getPartial('test-bar', patternlab, foo);
+  pattern_assembler.getPartial('test-bar', patternlab, baz);
+
+  //assert
+  var warnings = patternlab.buildReport.warnings;
+  test.equals(warnings.length, 2);
+  test.equals(warnings[0].pattern, 'test-foo');
+  test.ok(warnings[0].message.indexOf('test-bar in ' + foo.relPath) > -1);
+  test.equals(warnings[1].pattern, 'test-baz');
+  test.end();
+});
+
 tap.test('addPattern - adds pattern extended template to patternlab partial object', function(test) {
   //arrange
   var pattern_assembler = new pa();
@@ -652,7 +714,7 @@ tap.test('addPattern - adds pattern template to patternlab partial object if ext
   test.end();
 });
 
-tap.test('markModifiedPatterns - finds patterns modified since a given date', function(test){
+tap.test('markModifiedPatterns - loads the rendered markup of clean patterns', function(test){
   const fs = require('fs-extra');
   // test/myModule.test.js
   var rewire = require("rewire");
@@ -660,7 +722,7 @@ tap.test('markModifiedPatterns - finds patterns modified since a given date', fu
   var pattern_assembler_mock = rewire("../core/lib/pattern_assembler");
   var fsMock = {
     readFileSync: function (path, encoding, cb) {
-      return "";
+      return "<span>bar</span>";
     }
   };
   pattern_assembler_mock.__set__("fs", fsMock);
@@ -674,26 +736,18 @@ tap.test('markModifiedPatterns - finds patterns modified since a given date', fu
   var pattern = new Pattern('00-test/01-bar.mustache');
   pattern.extendedTemplate = undefined;
   pattern.template = 'bar';
-  pattern.lastModified = new Date("2016-01-31").getTime();
-  // Initially the compileState is clean,
-  // but we would change this after detecting that the file was modified
+  pattern.digest = 'abc';
   pattern.compileState = CompileState.CLEAN;
   patternlab.patterns = [pattern];
 
-  var lastCompilationRun = new Date("2016-01-01").getTime();
-  var modifiedOrNot = pattern_assembler.mark_modified_patterns(lastCompilationRun, patternlab);
+  var modifiedOrNot = pattern_assembler.mark_modified_patterns(patternlab);
 
-  test.same(modifiedOrNot.modified.length, 1, "The pattern was modified after the last compilation");
-
-  // Reset the compile state as it was previously set by pattern_assembler.mark_modified_patterns
-  pattern.compileState = CompileState.CLEAN;
-  lastCompilationRun = new Date("2016-12-31").getTime();
-  modifiedOrNot = pattern_assembler.mark_modified_patterns(lastCompilationRun, patternlab);
-  test.same(modifiedOrNot.notModified.length, 1, "Pattern was already compiled and hasn't been modified since last compile");
+  test.same(modifiedOrNot.notModified.length, 1, "Pattern was already compiled and hasn't changed since last compile");
+  test.equals(pattern.patternPartialCode, "<span>bar</span>");
   test.end();
 });
 
-tap.test('markModifiedPatterns - finds patterns when modification date is missing', function(test){
+tap.test('markModifiedPatterns - finds patterns when digest is missing', function(test){
   //arrange
   var pattern_assembler = new pa();
   var patternlab = emptyPatternLab();
@@ -705,10 +759,11 @@ tap.test('markModifiedPatterns - finds patterns when modification date is missin
   var pattern = new Pattern('00-test/01-bar.mustache');
   pattern.extendedTemplate = undefined;
   pattern.template = 'bar';
-  pattern.lastModified = undefined;
+  pattern.digest = undefined;
+  pattern.compileState = CompileState.CLEAN;
   patternlab.patterns = [pattern];
 
-  let p = pattern_assembler.mark_modified_patterns(1000, patternlab);
+  let p = pattern_assembler.mark_modified_patterns(patternlab);
   test.same(p.modified.length, 1);
   test.end();
 });
@@ -726,11 +781,11 @@ tap.test('markModifiedPatterns - finds patterns via compile state', function(tes
   var pattern = new Pattern('00-test/01-bar.mustache');
   pattern.extendedTemplate = undefined;
   pattern.template = 'bar';
-  pattern.lastModified = 100000;
+  pattern.digest = 'abc';
   pattern.compileState = CompileState.NEEDS_REBUILD;
   patternlab.patterns = [pattern];
 
-  let p = pattern_assembler.mark_modified_patterns(1000, patternlab);
+  let p = pattern_assembler.mark_modified_patterns(patternlab);
   test.same(p.modified.length, 1);
   test.end();
 });
@@ -805,3 +860,127 @@ tap.test('parses pattern extra frontmatter correctly when frontmatter present',
 
   }).catch(test.threw);
 });
+
+tap.test('process_pattern_iterative - awaits sibling data computed asynchronously by data modules', function(test){
+  //arrange
+  var pattern_assembler = new pa();
+  var util = require('./util/test_utils.js');
+  var testPatternsPath = path.resolve(__dirname, 'files', '_data-module-patterns');
+  var pl = util.fakePatternLab(testPatternsPath);
+  pl.buildReport = new BuildReport();
+
+  var datedPattern = pattern_assembler.load_pattern_iterative(path.join('00-test', '00-dated.mustache'), pl);
+  var brokenPattern = pattern_assembler.load_pattern_iterative(path.join('00-test', '01-broken.mustache'), pl);
+
+  //act
+  Promise.all([
+    pattern_assembler.process_pattern_iterative(datedPattern, pl),
+    pattern_assembler.process_pattern_iterative(brokenPattern, pl)
+  ]).then(() => {
+
+    //assert
+    test.equals(datedPattern.jsonFileData.date, 'today');
+    test.equals(datedPattern.jsonFileData.defaultPattern, pl.config.defaultPattern, 'passes the config on');
+    test.equals(datedPattern.listitems['1'][0].title, 'first');
+    test.equals(pl.buildReport.warnings.length, 1);
+    test.equals(pl.buildReport.warnings[0].type, WarningType.INVALID_JSON);
+    test.equals(pl.buildReport.warnings[0].pattern, 'test-broken');
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('process_pattern_iterative - the data computed by data modules is part of the digest of a pattern', function(test){
+  //arrange
+  var os = require('os');
+  var fs = require('fs-extra');
+  var pattern_assembler = new pa();
+  var util = require('./util/test_utils.js');
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pl-computed-'));
+  fs.outputFileSync(path.join(dir, '00-test', '00-sync.mustache'), '{{ computed }}');
+  fs.outputFileSync(path.join(dir, '00-test', '00-sync.data.js'), 'module.exports = config => ({computed: config.defaultPattern});');
+  fs.outputFileSync(path.join(dir, '00-test', '01-async.mustache'), '{{ computed }}');
+  fs.outputFileSync(path.join(dir, '00-test', '01-async.data.js'), 'module.exports = config => Promise.resolve({computed: config.defaultPattern});');
+  var load = function (computed) {
+    var pl = util.fakePatternLab(dir);
+    pl.config.defaultPattern = computed;
+    var patterns = ['00-sync', '01-async'].map(function (name) {
+      return pattern_assembler.load_pattern_iterative(path.join('00-test', name + '.mustache'), pl);
+    });
+    return Promise.all(patterns.map(function (pattern) {
+      return pattern_assembler.process_pattern_iterative(pattern, pl);
+    }));
+  };
+
+  //act
+  Promise.all([load('first'), load('first'), load('second')]).then(function (loaded) {
+
+    //assert
+    var digests = loaded.map(function (patterns) {
+      return patterns.map(function (pattern) { return pattern.digest; });
+    });
+    test.same(digests[1], digests[0], 'the same data yields the same digests');
+    test.notEqual(digests[2][0], digests[0][0], 'data computed synchronously changes the digest');
+    test.notEqual(digests[2][1], digests[0][1], 'data computed asynchronously changes the digest');
+    test.equals(loaded[2][1].compileState, CompileState.NEEDS_REBUILD, 'checks the build state once the data is computed');
+    fs.removeSync(dir);
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('process_pattern_iterative - resolves $ref in the data of patterns and pseudopatterns', function(test){
+  //arrange
+  var pattern_assembler = new pa();
+  var util = require('./util/test_utils.js');
+  var pl = util.fakePatternLab(path.resolve(__dirname, 'files', '_data-refs', '_patterns'));
+  var dataPath = pl.config.paths.source.data;
+  pl.config.paths.source.data = path.resolve(__dirname, 'files', '_data-refs', '_data');
+
+  var authorPattern = pattern_assembler.load_pattern_iterative(path.join('00-test', '00-author.mustache'), pl);
+
+  //act
+  pattern_assembler.process_pattern_iterative(authorPattern, pl).then(() => {
+
+    //assert
+    var bobPattern = pl.patterns.find(p => p.patternPartial === 'test-author-bob');
+    test.equals(authorPattern.jsonFileData.title, 'Authors');
+    test.equals(authorPattern.jsonFileData.editors[0].name, 'Bob');
+    test.equals(bobPattern.jsonFileData.author.name, 'Bob');
+    test.equals(bobPattern.jsonFileData.author.avatar.src, 'bob.png');
+    pl.config.paths.source.data = dataPath;
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('process_pattern_iterative - merges the data of patterns over the data of their pattern type and subtype', function(test){
+  //arrange
+  var pattern_assembler = new pa();
+  var pr = require('../core/lib/pattern_renderer');
+  var pattern_renderer = new pr();
+  var util = require('./util/test_utils.js');
+  var pl = util.fakePatternLab(path.resolve(__dirname, 'files', '_data-group-patterns'));
+  pl.data.site = 'Lab';
+  pl.data.title = 'Global';
+
+  var patterns = [
+    path.join('00-test', '00-nested', '00-page.mustache'),
+    path.join('00-test', '00-nested', '01-plain.mustache'),
+    path.join('01-other', '00-foo.mustache')
+  ].map(relPath => pattern_assembler.load_pattern_iterative(relPath, pl));
+
+  //act
+  Promise.all(patterns.map(pattern => pattern_assembler.process_pattern_iterative(pattern, pl))).then(() => {
+    var variantPattern = pl.patterns.find(p => p.patternPartial === 'test-page-variant');
+    return Promise.all([patterns[0], variantPattern].map(pattern => {
+      pattern_assembler.decomposePattern(pattern, pl);
+      return pattern_renderer.render_pattern(pattern, pattern_renderer.merge_data(pattern, pl), pl);
+    }));
+  }).then(html => {
+
+    //assert
+    test.equals(html[0].trim(), '<h1>Lab: Page</h1><nav>home nested</nav><p>nested</p>');
+    test.equals(html[1].trim(), '<h1>Lab: Page</h1><nav>home nested</nav><p>variant</p>');
+    test.same(patterns[1].jsonFileData, {title: 'Nested', section: 'nested', nav: {home: 'home', items: ['atoms', 'molecules'], current: 'nested'}});
+    test.same(patterns[2].jsonFileData, {}, 'leaves patterns of other types alone');
+    test.end();
+  }).catch(test.threw);
+});
@@ -0,0 +1,128 @@
+"use strict";
+
+var tap = require('tap');
+var path = require('path');
+
+var pa = require('../core/lib/pattern_assembler');
+var pdv = require('../core/lib/pattern_data_validator');
+var BuildReport = require('../core/lib/build_report').BuildReport;
+var WarningType = require('../core/lib/build_report').WarningType;
+var util = require('./util/test_utils.js');
+var config = require('./util/patternlab-config.json');
+var engineLoader = require('../core/lib/pattern_engines');
+engineLoader.loadAllEngines(config);
+
+var testPatternsPath = path.resolve(__dirname, 'files', '_data-schema-patterns');
+
+function loadPatterns(patternlab) {
+  var pattern_assembler = new pa();
+  var patterns = ['00-card', '01-teaser', '02-inline', '03-unschematic'].map(function (name) {
+    return pattern_assembler.load_pattern_iterative(path.join('00-test', name + '.mustache'), patternlab);
+  });
+  return Promise.all(patterns.map(function (pattern) {
+    return pattern_assembler.process_pattern_iterative(pattern, patternlab);
+  }));
+}
+
+tap.test('find_schema - finds the schema in a sibling file or the frontmatter', function (test) {
+  //arrange
+  var pattern_data_validator = new pdv();
+  var pl = util.fakePatternLab(testPatternsPath);
+
+  loadPatterns(pl).then(function (patterns) {
+    //act
+    var schemas = patterns.map(function (pattern) {
+      return pattern_data_validator.find_schema(pattern, pl);
+    });
+
+    //assert
+    test.same(schemas[0].properties.count, {type: 'integer', minimum: 0}, 'resolves references within the schema');
+    test.same(schemas[1], schemas[0], 'loads the schema the frontmatter refers to');
+    test.same(schemas[2], {type: 'object', required: ['name']});
+    test.equals(schemas[3], null);
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('validate_patterns - reports violations of the data of each pattern and pseudopattern', function (test) {
+  //arrange
+  var pattern_data_validator = new pdv();
+  var pl = util.fakePatternLab(testPatternsPath);
+  pl.buildReport = new BuildReport();
+
+  loadPatterns(pl).then(function () {
+    //act
+    var violations = pattern_data_validator.validate_patterns(pl.patterns, pl);
+
+    //assert
+    var warnings = pl.buildReport.warnings;
+    test.equals(violations, 3);
+    test.same(warnings.map(function (w) { return w.type; }), [WarningType.INVALID_DATA, WarningType.INVALID_DATA, WarningType.INVALID_DATA]);
+    test.same(warnings.map(function (w) { return w.pattern; }), ['test-card-broken', 'test-teaser', 'test-inline']);
+    test.equals(warnings[1].message, 'The data does not match the schema: [title] is required, but missing.');
+    test.equals(warnings[0].message, 'The data does not match the schema: [count] should be an integer, but is "three".', 'validates the data merged with the base pattern, leaving the base pattern valid');
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('validate_patterns - records violations as errors in strict mode', function (test) {
+  //arrange
+  var pattern_data_validator = new pdv();
+  var pl = util.fakePatternLab(testPatternsPath);
+  pl.buildReport = new BuildReport(true);
+
+  loadPatterns(pl).then(function () {
+    //act
+    pattern_data_validator.validate_patterns(pl.patterns, pl);
+
+    //assert
+    test.equals(pl.buildReport.errors.length, 3);
+    test.ok(pl.buildReport.toError(), 'fails the build');
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('validate_patterns - leaves out the global data, so that schemas may forbid additional keys', function (test) {
+  //arrange
+  var pattern_data_validator = new pdv();
+  var pl = util.fakePatternLab(testPatternsPath);
+  pl.buildReport = new BuildReport();
+  pl.data.site = 'Global';
+  pl.data.footerText = 'Global';
+
+  loadPatterns(pl).then(function () {
+    //act
+    var violations = pattern_data_validator.validate_patterns(pl.patterns, pl);
+
+    //assert
+    test.equals(violations, 3);
+    test.same(pl.buildReport.warnings.filter(function (w) { return w.message.indexOf('not a known key') > -1; }), []);
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('load_pattern_iterative - the schema of the data is part of the digest of a pattern', function (test) {
+  //arrange
+  var fs = require('fs-extra');
+  var os = require('os');
+  var pattern_assembler = new pa();
+  var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pl-schema-'));
+  fs.copySync(testPatternsPath, dir);
+  var digests = function () {
+    var pl = util.fakePatternLab(dir);
+    return ['00-card', '01-teaser'].map(function (name) {
+      return pattern_assembler.load_pattern_iterative(path.join('00-test', name + '.mustache'), pl).digest;
+    });
+  };
+  var before = digests();
+
+  //act
+  fs.writeFileSync(path.join(dir, '00-test', '00-card.schema.json'), '{"type": "object"}');
+  var after = digests();
+
+  //assert
+  test.notEqual(after[0], before[0], 'changing the sibling schema changes the digest');
+  test.notEqual(after[1], before[1], 'changing the schema the frontmatter refers to changes the digest');
+  fs.removeSync(dir);
+  test.end();
+});
@@ -1,6 +1,7 @@
 'use strict';
 
 var tap = require('tap');
+var path = require('path');
 
 var patternEngines = require('../core/lib/pattern_engines');
 var Pattern = require('../core/lib/object_factory').Pattern;
@@ -185,3 +186,136 @@ tap.test('patternEngines getSupportedFileExtensions flattens known engine extens
 
   test.end();
 });
+
+tap.test('loadAllEngines loads the engines in config.engines by local path and scoped package name', function (test) {
+  //arrange
+  var os = require('os');
+  var fs = require('fs-extra');
+  var cwd = process.cwd();
+  var projectDir = path.join(os.tmpdir(), 'patternlab-engines-tests');
+  fs.outputFileSync(path.join(projectDir, 'node_modules', '@acme', 'patternengine-node-scoped', 'index.js'),
+    'module.exports = {engineName: "scoped", engineFileExtension: ".scoped", renderPattern: function () { return "scoped"; }};');
+  fs.copySync(path.resolve(__dirname, 'files', 'engines', 'engine_fake.js'), path.join(projectDir, 'tools', 'engine_fake.js'));
+
+  //act
+  process.chdir(projectDir);
+  try {
+    patternEngines.loadAllEngines(Object.assign({}, config, {
+      engines: {
+        fake: './tools/engine_fake.js',
+        scoped: '@acme/patternengine-node-scoped'
+      }
+    }));
+  } finally {
+    process.chdir(cwd);
+  }
+
+  //assert
+  test.equals(patternEngines.fake.engineName, 'fake');
+  test.equals(patternEngines.scoped.engineName, 'scoped');
+  test.ok(patternEngines.isFileExtensionSupported('.scoped'));
+  test.equals(patternEngines.getEngineNameForPattern(new Pattern('00-atoms/00-foo.scoped')), 'scoped');
+  test.equals(patternEngines.getEngineNameForPattern(new Pattern('00-atoms/00-foo.mustache')), 'fake', 'configured engines take precedence over discovered ones');
+
+  delete patternEngines.fake;
+  delete patternEngines.scoped;
+  test.end();
+});
+
+tap.test('addEngine registers an engine taking precedence over configured and discovered ones', function (test) {
+  //arrange
+  var configured = Object.assign({}, config, {engines: {fake: './test/files/engines/engine_fake.js'}});
+  patternEngines.loadAllEngines(configured);
+  var added = Object.assign({}, patternEngines.fake, {engineName: 'added', engineFileExtension: '.mustache'});
+
+  //act
+  patternEngines.addEngine('added', added, configured);
+
+  //assert
+  var pattern = new Pattern('00-atoms/00-foo.mustache');
+  test.equals(pattern.engine, added);
+  test.same(patternEngines.getEngineNamesForExtension('.mustache'), ['added', 'fake', 'mustache']);
+  test.equals(patternEngines.getEngineName(added), 'added');
+  test.same(patternEngines.getAddedEngines(), [{engineName: 'added', modulePath: null}]);
+  test.ok(patternEngines.getEngines().indexOf(added) > -1);
+  test.ok(patternEngines.getEngines().indexOf(patternEngines.fake) > -1);
+
+  delete patternEngines.fake;
+  delete patternEngines.added;
+  test.equals(patternEngines.getEngines().indexOf(added), -1, 'leaves out engines no longer set');
+  test.end();
+});
+
+tap.test('addEngine reports engines which cannot be loaded', function (test) {
+  test.throws(function () {
+    patternEngines.addEngine('missing', './tools/missing-engine');
+  }, /Could not load the pattern engine "missing" from \.\/tools\/missing-engine/);
+  test.throws(function () {
+    patternEngines.addEngine('empty', {});
+  }, /does not have a renderPattern function/);
+  test.notOk(patternEngines.hasOwnProperty('missing'));
+  test.end();
+});
+
+tap.test('getEngineNameForPattern applies the first matching rule of config.engineMapping', function (test) {
+  //arrange
+  patternEngines.loadAllEngines(Object.assign({}, config, {
+    engines: {fake: './test/files/engines/engine_fake.js'},
+    engineMapping: [
+      {extension: '.html', path: './test/files/_patterns/legacy', engine: 'mustache'},
+      {extension: '.html', engine: 'fake'},
+      {path: './test/files/_patterns/vendor/', engine: 'handlebars'},
+      {extension: '.njk', path: './test/files/_patterns/legacy', engine: 'mustache'}
+    ]
+  }));
+
+  //act
+  var legacy = new Pattern(path.join('legacy', '00-atoms', '00-foo.html'));
+  var legacyNjk = new Pattern(path.join('legacy', '00-foo.njk'));
+  var other = new Pattern(path.join('00-atoms', '00-legacy', '00-foo.html'));
+  var vendor = new Pattern(path.join('vendor', '00-foo.mustache'));
+  var unmapped = new Pattern(path.join('00-atoms', '00-foo.mustache'));
+
+  //assert
+  test.equals(legacy.engine, patternEngines.mustache);
+  test.equals(legacyNjk.engine, patternEngines.mustache);
+  test.equals(other.engine, patternEngines.fake);
+  test.equals(vendor.engine, patternEngines.handlebars);
+  test.equals(unmapped.engine, patternEngines.fake, 'extensions decide without a matching rule');
+  test.ok(patternEngines.isPatternFile('00-foo.njk'), 'mapped extensions are pattern files');
+  test.equals(patternEngines.getSupportedFileExtensions().filter(ext => ext === '.html').length, 1);
+
+  delete patternEngines.fake;
+  patternEngines.loadAllEngines(config);
+  test.end();
+});
+
+tap.test('getEngineNameForPattern warns instead of silently rendering patterns with mustache', function (test) {
+  //arrange
+  var plutils = require('../core/lib/utilities');
+  var warnings = [];
+  var onWarning = function (msg) { warnings.push(msg); };
+  plutils.log.on('warning', onWarning);
+  patternEngines.loadAllEngines(Object.assign({}, config, {
+    engineMapping: [
+      {extension: '.njk', path: './test/files/_patterns/legacy', engine: 'nunjucks'}
+    ]
+  }));
+
+  //act
+  var mapped = new Pattern(path.join('legacy', '00-foo.njk'));
+  var unmapped = new Pattern(path.join('00-atoms', '00-foo.njk'));
+  var unmappedToo = new Pattern(path.join('00-atoms', '00-bar.njk'));
+
+  //assert
+  test.equals(mapped.engine, patternEngines.mustache);
+  test.equals(unmapped.engine, patternEngines.mustache);
+  test.equals(unmappedToo.engine, patternEngines.mustache);
+  test.equals(warnings.length, 2, 'warns once about each problem');
+  test.ok(warnings[0].indexOf('pattern engine nunjucks, which is not loaded') > -1);
+  test.ok(warnings[1].indexOf('No pattern engine renders ' + path.join('legacy', '00-foo.njk')) > -1);
+
+  plutils.log.removeListener('warning', onWarning);
+  patternEngines.loadAllEngines(config);
+  test.end();
+});
@@ -0,0 +1,64 @@
+"use strict";
+
+var tap = require('tap');
+
+var pf = require('../core/lib/pattern_filter');
+var PatternGraph = require('../core/lib/pattern_graph').PatternGraph;
+var Pattern = require('../core/lib/object_factory').Pattern;
+var config = require('./util/patternlab-config.json');
+var engineLoader = require('../core/lib/pattern_engines');
+engineLoader.loadAllEngines(config);
+
+var pattern_filter = new pf();
+
+function createPatterns() {
+  var atom = new Pattern('00-atoms/00-global/00-button.mustache');
+  var otherAtom = new Pattern('00-atoms/00-global/01-label.mustache');
+  var molecule = new Pattern('01-molecules/00-blocks/00-card.mustache');
+  var organism = new Pattern('02-organisms/00-global/00-header.mustache');
+  organism.patternState = 'inprogress';
+
+  var graph = PatternGraph.empty();
+  [atom, otherAtom, molecule, organism].forEach(p => graph.add(p));
+  graph.link(molecule, atom);
+  graph.link(organism, molecule);
+
+  return {
+    patterns: [atom, otherAtom, molecule, organism],
+    graph: graph
+  };
+}
+
+tap.test('select - matches pattern partial globs plus the patterns they include', function (test) {
+  //arrange
+  var lab = createPatterns();
+
+  //act
+  var selected = pattern_filter.select(lab.patterns, 'molecules-*', lab.graph);
+
+  //assert
+  test.same(Array.from(selected).map(p => p.patternPartial), ['molecules-card', 'atoms-button']);
+  test.end();
+});
+
+tap.test('select - matches groups, subgroups and states', function (test) {
+  //arrange
+  var lab = createPatterns();
+
+  //act
+  var byGroup = pattern_filter.select(lab.patterns, 'group:atoms', lab.graph);
+  var bySubgroup = pattern_filter.select(lab.patterns, ['subgroup:blocks'], lab.graph);
+  var byState = pattern_filter.select(lab.patterns, ['state:inprogress', '*-label'], lab.graph);
+
+  //assert
+  test.same(Array.from(byGroup).map(p => p.patternPartial), ['atoms-button', 'atoms-label']);
+  test.same(Array.from(bySubgroup).map(p => p.patternPartial), ['molecules-card', 'atoms-button']);
+  test.same(Array.from(byState).map(p => p.patternPartial), ['atoms-label', 'organisms-header', 'molecules-card', 'atoms-button']);
+  test.end();
+});
+
+tap.test('compile - rejects unknown selector kinds', function (test) {
+  //act, assert
+  test.throws(() => pattern_filter.compile('type:atoms'), /Unknown pattern selector "type:atoms"/);
+  test.end();
+});
@@ -66,7 +66,7 @@ tap.test("toJson() - Storing a graph to JSON correctly", (test) => {
   graph.add(moleculeFoo);
   graph.link(moleculeFoo, atomFoo);
   test.same(graph.toJson(),
-  {"version": VERSION, "timestamp":1337,"graph":{"options":{"directed":true,"multigraph":false,"compound":false},"nodes":[{"v":"atom-foo","value":{"compileState":"clean"}},{"v":"molecule-foo","value":{"compileState":"clean"}}],"edges":[{"v":"molecule-foo","w":"atom-foo","value":{}}]}});
+  {"version": VERSION, "timestamp":1337,"graph":{"options":{"directed":true,"multigraph":false,"compound":false},"nodes":[{"v":"atom-foo","value":{"compileState":"clean"}},{"v":"molecule-foo","value":{"compileState":"clean"}}],"edges":[{"v":"molecule-foo","w":"atom-foo","value":{}}]},"dataDigests":{}});
   // For generating the above output:console.log(JSON.stringify(graph.toJson()));
   test.end();
 });
@@ -126,6 +126,14 @@ tap.test("Adding a node", (test) => {
   test.end();
 });
 
+tap.test("Adding a node stores the pattern digest", (test) => {
+  var g = mockGraph();
+  var pattern = Pattern.create("atom-foo", null, {compileState:CompileState.CLEAN, digest: "abc"});
+  g.add(pattern);
+  test.same({compileState:CompileState.CLEAN, digest: "abc"}, g.node("atom-foo"), "Data were set correctly");
+  test.end();
+});
+
 tap.test("Adding a node twice", (test) => {
   var g = mockGraph();
   var pattern = Pattern.create("atom-foo", null, {compileState:CompileState.CLEAN});
@@ -196,6 +204,51 @@ tap.test("filter() - Removing nodes via filter", (test) => {
   test.end();
 });
 
+tap.test("sync() - Removes unknown nodes and flags their includers for rebuild", (test) => {
+  var g = mockGraph();
+  var atomFoo = Pattern.create("atom-foo", null , {compileState:CompileState.CLEAN});
+  var moleculeFoo = Pattern.create("molecule-foo", null, {compileState:CompileState.CLEAN});
+  g.add(atomFoo);
+  g.add(moleculeFoo);
+  g.link(moleculeFoo, atomFoo);
+
+  // Simulates a graph loaded from file where the atom was deleted before this build
+  g.patterns.remove("atom-foo");
+  var removedNodes = [];
+  var result = g.sync((n, includers) => {
+    removedNodes.push([n, includers.map(p => p.relPath)]);
+  });
+
+  test.same(result, ["atom-foo"]);
+  test.same(removedNodes, [["atom-foo", ["molecule-foo"]]], "The callback got the includers of the removed node");
+  test.same(g.graph.nodes(), ["molecule-foo"], "The atom was removed from the graph");
+  test.same(moleculeFoo.compileState, CompileState.NEEDS_REBUILD, "The including pattern needs a rebuild");
+  test.same(g.node(moleculeFoo).compileState, CompileState.NEEDS_REBUILD, "The including node needs a rebuild");
+  test.end();
+});
+
+tap.test("forget() - Lets a reloaded pattern take the place of the old one", (test) => {
+  var g = mockGraph();
+  var atomFoo = Pattern.create("atom-foo", null , {compileState:CompileState.CLEAN});
+  var moleculeFoo = Pattern.create("molecule-foo", null, {compileState:CompileState.CLEAN});
+  var organismFoo = Pattern.create("organism-foo", null, {compileState:CompileState.CLEAN});
+  g.add(atomFoo);
+  g.add(moleculeFoo);
+  g.add(organismFoo);
+  g.link(moleculeFoo, atomFoo);
+  g.link(organismFoo, moleculeFoo);
+
+  g.forget(moleculeFoo);
+  var reloaded = Pattern.create("molecule-foo", null, {compileState:CompileState.NEEDS_REBUILD});
+  g.add(reloaded);
+
+  test.same(g.lineage(reloaded), [], "The includes of the old pattern were removed");
+  test.same(g.lineageR(reloaded), [organismFoo], "The patterns including it were kept");
+  test.same(g.lineage(organismFoo), [reloaded], "The including patterns include the reloaded pattern");
+  test.same(g.node(reloaded).compileState, CompileState.NEEDS_REBUILD);
+  test.end();
+});
+
 // Prevents nodes from escaping the scope, at the same time have some default graph for lineage to
 // test on
 (function () {
@@ -394,4 +447,26 @@ tap.test("filter() - Removing nodes via filter", (test) => {
       "All patterns are marked for rebuilding"));
     test.end();
   });
+
+  tap.test("compileLayers() - Patterns are layered after the patterns they include", (test) => {
+    var g = new TestGraph(CompileState.NEEDS_REBUILD, CompileState.NEEDS_REBUILD);
+    var layers = g.graph.compileLayers(g.graph.compileOrder());
+
+    test.same([
+        [g.atomIsolated, g.atomFoo],
+        [g.moleculeFoo, g.moleculeBar],
+        [g.organismFoo, g.organismBar]
+      ],
+      layers);
+    test.end();
+  });
+
+  tap.test("compileLayers() - Only the given patterns are layered", (test) => {
+    // organismBar includes moleculeFoo, which does not need to be compiled
+    var g = new TestGraph(null, null, null, CompileState.NEEDS_REBUILD);
+    var layers = g.graph.compileLayers(g.graph.compileOrder());
+
+    test.same([[g.moleculeBar], [g.organismBar]], layers);
+    test.end();
+  });
 })();
@@ -0,0 +1,112 @@
+"use strict";
+
+var tap = require('tap');
+var path = require('path');
+
+var pq = require('../core/lib/pattern_query');
+var Pattern = require('../core/lib/object_factory').Pattern;
+var config = require('./util/patternlab-config.json');
+var engineLoader = require('../core/lib/pattern_engines');
+engineLoader.loadAllEngines(config);
+
+var pattern_query = new pq();
+
+function createPatterns() {
+  var patternlab = {config: config};
+
+  var atom = new Pattern('00-test/03-styled-atom.mustache', {message: 'hello'});
+  atom.patternState = 'inprogress';
+  atom.tags = 'form, button';
+  atom.patternDesc = '<p>A styled atom</p>';
+  atom.allMarkdown = {state: 'inprogress', tags: 'form, button', markdown: '<p>A styled atom</p>'};
+  atom.lineageRIndex = ['test-mixed-params'];
+
+  var variant = Pattern.create('00-test/03-styled-atom~alt.json', {message: 'alternateMessage'}, {
+    isPseudoPattern: true,
+    basePattern: atom
+  });
+
+  var molecule = new Pattern('00-test/07-mixed-params.mustache');
+  molecule.tags = ['layout'];
+  molecule.lineageIndex = ['test-styled-atom'];
+
+  return {
+    patterns: [atom, variant, molecule],
+    patternlab: patternlab
+  };
+}
+
+tap.test('describe - returns a serializable descriptor with the files of the pattern', function (test) {
+  //arrange
+  var lab = createPatterns();
+  var patternsPath = path.resolve(config.paths.source.patterns);
+
+  //act
+  var descriptor = pattern_query.describe(lab.patterns[0], lab.patternlab);
+
+  //assert
+  test.equals(descriptor.patternPartial, 'test-styled-atom');
+  test.equals(descriptor.group, 'test');
+  test.equals(descriptor.subgroup, 'test');
+  test.equals(descriptor.state, 'inprogress');
+  test.same(descriptor.tags, ['form', 'button']);
+  test.same(descriptor.lineage, []);
+  test.same(descriptor.lineageR, ['test-mixed-params']);
+  test.same(descriptor.data, {message: 'hello'});
+  test.same(descriptor.frontmatter, {state: 'inprogress', tags: 'form, button'});
+  test.equals(descriptor.template, path.join(patternsPath, '00-test', '03-styled-atom.mustache'));
+  test.same(descriptor.files.sort(), [
+    path.join(patternsPath, '00-test', '03-styled-atom.md'),
+    path.join(patternsPath, '00-test', '03-styled-atom.mustache')
+  ]);
+  test.same(JSON.parse(JSON.stringify(descriptor)), descriptor, 'descriptor is serializable');
+  test.end();
+});
+
+tap.test('describe - points pseudopatterns to the template of their base pattern', function (test) {
+  //arrange
+  var lab = createPatterns();
+  var patternsPath = path.resolve(config.paths.source.patterns);
+
+  //act
+  var descriptor = pattern_query.describe(lab.patterns[1], lab.patternlab);
+
+  //assert
+  test.equals(descriptor.isPseudoPattern, true);
+  test.equals(descriptor.basePattern, 'test-styled-atom');
+  test.equals(descriptor.template, path.join(patternsPath, '00-test', '03-styled-atom.mustache'));
+  test.same(descriptor.files, [path.join(patternsPath, '00-test', '03-styled-atom~alt.json')]);
+  test.end();
+});
+
+tap.test('query - filters by group, state, tag and text', function (test) {
+  //arrange
+  var lab = createPatterns();
+  var partials = q => pattern_query.query(lab.patterns, q, lab.patternlab).map(d => d.patternPartial);
+
+  //act
+  //assert
+  test.same(partials(), ['test-styled-atom', 'test-styled-atom-alt', 'test-mixed-params']);
+  test.same(partials({group: 'test'}).length, 3);
+  test.same(partials({group: 'atoms'}), []);
+  test.same(partials({state: 'inprogress'}), ['test-styled-atom']);
+  test.same(partials({tag: ['layout', 'button']}), ['test-styled-atom', 'test-mixed-params']);
+  test.same(partials({text: 'STYLED ATOM'}), ['test-styled-atom', 'test-styled-atom-alt']);
+  test.same(partials({text: 'alt', group: 'test'}), ['test-styled-atom-alt']);
+  test.end();
+});
+
+tap.test('query - throws for unknown query keys', function (test) {
+  //arrange
+  var lab = createPatterns();
+
+  //act
+  //assert
+  test.throws(() => pattern_query.query(lab.patterns, {grop: 'atoms'}, lab.patternlab), /Unknown pattern query key "grop"/);
+  try {
+    pattern_query.query(lab.patterns, {grop: 'atoms'}, lab.patternlab);
+  } catch (err) {
+    test.equals(err.code, 'UNKNOWN_QUERY_KEY');
+  }
+  test.end();
+});
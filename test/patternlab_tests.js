@@ -41,6 +41,190 @@ tap.test('buildPatternData - should merge all JSON files in the data folder exce
   test.end();
 });
 
+tap.test('render - renders a pattern with its partials, parameters and style modifiers and the given data', function(test) {
+  //arrange
+  var written = [];
+  plEngineModule.__set__({
+    'fs': Object.assign({}, fsMock, {
+      outputFileSync: function (path) { written.push(path); }
+    })
+  });
+  var pl = new plEngineModule(config);
+
+  //act
+  pl.render('test-mixed-params', {message: 'custom'}).then(function (html) {
+    //assert
+    test.ok(html.indexOf('test_base ') > -1, 'includes the partial without a style modifier');
+    test.ok(html.indexOf('custom') > -1, 'uses the given data');
+    test.ok(html.indexOf('test_base test_2') > -1, 'applies the style modifier');
+    test.ok(html.indexOf('2') > -1, 'applies the parameters');
+    test.equals(written.length, 0, 'writes no files');
+    plEngineModule.__set__({'fs': fsMock});
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('render - merges the given data over the data of a pseudopattern', function(test) {
+  //arrange
+  var pl = new plEngineModule(config);
+
+  //act
+  pl.render('test-styled-atom-alt').then(function (html) {
+    test.ok(html.indexOf('alternateMessage') > -1, 'uses the data of the pseudopattern');
+    return pl.render('test-styled-atom-alt', {message: 'override'});
+  }).then(function (html) {
+    //assert
+    test.ok(html.indexOf('override') > -1, 'the given data takes precedence');
+    test.equals(html.indexOf('alternateMessage'), -1);
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('render - rejects for an unknown pattern', function(test) {
+  //arrange
+  var pl = new plEngineModule(config);
+
+  //act
+  pl.render('nonexistent-pattern').then(function () {
+    test.fail('should not resolve');
+    test.end();
+  }, function (err) {
+    //assert
+    test.ok(err.message.indexOf('nonexistent-pattern') > -1);
+    test.equals(err.code, 'PATTERN_NOT_FOUND');
+    test.end();
+  });
+});
+
+tap.test('render - loads the patterns again after loading them failed', function(test) {
+  //arrange
+  var lineage_hunter = plEngineModule.__get__('lineage_hunter');
+  var cascade = lineage_hunter.cascade_pattern_states;
+  lineage_hunter.cascade_pattern_states = function () {
+    lineage_hunter.cascade_pattern_states = cascade;
+    throw new Error('loading failed');
+  };
+  var pl = new plEngineModule(config);
+
+  //act
+  pl.render('test-mixed-params').then(function () {
+    test.fail('should not resolve');
+  }, function (err) {
+    test.equals(err.message, 'loading failed');
+    return pl.render('test-mixed-params');
+  }).then(function (html) {
+    //assert
+    test.ok(html.indexOf('test_base ') > -1, 'renders the pattern once loaded');
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('render - waits for a running build rather than reading the patterns it is loading', function(test) {
+  //arrange
+  var pl = new plEngineModule(config);
+  var rendered = null;
+  var built = false;
+  pl.events.on('patternlab-build-global-data-end', function () {
+    // the build has just reset the patterns
+    rendered = pl.render('test-styled-atom-alt').then(function (html) {
+      test.ok(built, 'renders once the build finished');
+      return html;
+    });
+  });
+
+  //act
+  pl.patternsonly(function () {
+    built = true;
+  }, {cleanPublic: true}).then(function () {
+    return rendered;
+  }).then(function (html) {
+    //assert
+    test.ok(html.indexOf('alternateMessage') > -1);
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('getPatterns - returns descriptors of the loaded patterns matching the query', function(test) {
+  //arrange
+  var pl = new plEngineModule(config);
+
+  //act
+  pl.getPatterns({state: 'inprogress'}).then(function (patterns) {
+    //assert
+    var styledAtom = patterns.find(p => p.patternPartial === 'test-styled-atom');
+    test.ok(styledAtom, 'finds the pattern by the state from its markdown');
+    test.same(styledAtom.lineageR.indexOf('test-mixed-params') > -1, true);
+    test.equals(patterns.every(p => p.state === 'inprogress'), true);
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('patternsonly - emits the rendered patterns at the end of the build', function(test) {
+  //arrange
+  var pl = new plEngineModule(config);
+  var builtPatterns = null;
+  pl.events.on('patternlab-build-end', function (patternlab, data) {
+    builtPatterns = data.patterns;
+  });
+
+  //act
+  pl.patternsonly(function () {
+    //assert
+    test.ok(builtPatterns.indexOf('test-styled-atom') > -1);
+    test.ok(builtPatterns.indexOf('test-styled-atom-alt') > -1);
+    test.end();
+  }, {cleanPublic: true}).catch(test.threw);
+});
+
+tap.test('patternsonly - strict builds failing set the exit code, unless watching', function(test) {
+  //arrange
+  var pl = new plEngineModule(config);
+  var exitCode = process.exitCode;
+  var failed = function (options) {
+    return pl.patternsonly(function () {
+      test.fail('should not succeed');
+    }, options).then(function () {
+      test.fail('should not resolve');
+    }, function (err) {
+      return err;
+    });
+  };
+
+  //act
+  failed({cleanPublic: true, strict: true, watch: true}).then(function (err) {
+    //assert
+    test.equals(err.name, 'BuildError');
+    test.equals(process.exitCode, exitCode, 'a later build may fix the failure while watching');
+    return failed({cleanPublic: true, strict: true});
+  }).then(function (err) {
+    test.equals(err.name, 'BuildError');
+    test.equals(process.exitCode, 1);
+    process.exitCode = exitCode;
+    test.end();
+  }).catch(test.threw);
+});
+
+tap.test('patternsonly - awaits engines rendering asynchronously', function(test) {
+  //arrange
+  var pl = new plEngineModule(Object.assign({}, config, {
+    engines: {async: './test/files/engines/engine_async.js'},
+    engineMapping: [{extension: '.mustache', path: './test/files/_patterns/00-test', engine: 'async'}]
+  }));
+  var foo = null;
+  pl.events.on('patternlab-build-end', function (patternlab) {
+    foo = _.find(patternlab.patterns, p => p.patternPartial === 'test-foo');
+  });
+
+  //act
+  pl.patternsonly(function () {
+    //assert
+    test.equals(foo.engine.engineName, 'async');
+    test.equals(typeof foo.patternPartialCode, 'string');
+    test.equals(foo.patternPartialCode.trim(), 'bar');
+    test.end();
+  }, {cleanPublic: true}).catch(test.threw);
+});
+
 tap.test('buildPatterns - should replace data link even when pattern parameter present', function(test) {
   //arrange
 
@@ -81,3 +265,13 @@ tap.test('buildPatternData - can load json, yaml, and yml files', function(test)
   test.equals(dataResult.from_json, "from_json");
   test.end();
 });
+
+tap.test('buildPatternData - can load js and cjs modules', function(test) {
+  const data_dir = './test/files/_data/';
+
+  let dataResult = plEngineModule.build_pattern_data(data_dir, fs, config);
+  test.equals(dataResult.from_js, "from_js");
+  test.equals(dataResult.from_cjs, "from_cjs");
+  test.equals(dataResult.defaultPattern, config.defaultPattern);
+  test.end();
+});
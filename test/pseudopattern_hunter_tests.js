@@ -92,3 +92,22 @@ tap.test('pseudpattern variant includes stylePartials and parameteredPartials',
     test.equals(pl.patterns[2].parameteredPartials, pseudoPattern.parameteredPartials);
   });
 });
+
+tap.test('pseudopattern data is merged over a copy of the data of its base pattern', function (test) {
+  //arrange
+  var pl = stubPatternlab();
+
+  var atomPattern = new Pattern('00-test/03-styled-atom.mustache', {message: 'baseMessage', label: 'base'});
+  atomPattern.template = fs.readFileSync(patterns_dir + '00-test/03-styled-atom.mustache', 'utf8');
+  atomPattern.extendedTemplate = atomPattern.template;
+  atomPattern.stylePartials = atomPattern.findPartialsWithStyleModifiers(atomPattern);
+
+  pattern_assembler.addPattern(atomPattern, pl);
+
+  //act
+  return pph.find_pseudopatterns(atomPattern, pl).then(() => {
+    //assert
+    test.same(atomPattern.jsonFileData, {message: 'baseMessage', label: 'base'}, 'the base pattern keeps its own data');
+    test.same(pl.patterns[1].jsonFileData, {message: 'alternateMessage', label: 'base'});
+  });
+});
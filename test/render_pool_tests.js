@@ -0,0 +1,225 @@
+"use strict";
+
+var tap = require('tap');
+
+var RenderPool = require('../core/lib/render_pool');
+var pr = require('../core/lib/pattern_renderer');
+var cep = require('../core/lib/cross_engine_partials');
+var Pattern = require('../core/lib/object_factory').Pattern;
+var PatternGraph = require('../core/lib/pattern_graph').PatternGraph;
+var config = require('./util/patternlab-config.json');
+var engineLoader = require('../core/lib/pattern_engines');
+engineLoader.loadAllEngines(config);
+
+function createPatternLab() {
+  var patternlab = {
+    config: config,
+    data: {title: 'Hello', unused: 'unused'},
+    cacheBuster: 1234,
+    footer: '<!-- {{ patternData }} -->',
+    userFoot: '{{{ patternLabFoot }}}</body>',
+    graph: PatternGraph.empty(),
+    patterns: []
+  };
+  patternlab.graph.dataDigests = {'data.title': 'abc', 'data.unused': 'def'};
+
+  var atom = new Pattern('00-test/01-atom.mustache');
+  atom.template = atom.extendedTemplate = '<h1>{{ title }}</h1>';
+  atom.jsonFileData = {local: 'local'};
+  var molecule = new Pattern('00-test/02-molecule.mustache');
+  molecule.template = '{{> test-atom }}<p>{{ local }}</p>';
+  molecule.extendedTemplate = '<h1>{{ title }}</h1><p>{{ local }}</p>';
+
+  // handlebars resolves partials at render time, so the worker needs to know them
+  var hbsMolecule = new Pattern('00-test/03-hbs-molecule.hbs');
+  hbsMolecule.template = hbsMolecule.extendedTemplate = '{{> test-hbs-atom }}';
+  var hbsAtom = new Pattern('00-test/04-hbs-atom.hbs');
+  hbsAtom.template = hbsAtom.extendedTemplate = '<h2>{{ title }}</h2>';
+  hbsAtom.registerPartial();
+  [atom, molecule, hbsMolecule, hbsAtom].forEach(pattern => {
+    pattern.patternData = JSON.stringify({patternPartial: pattern.patternPartial});
+    pattern.dataKeys = [];
+    patternlab.patterns.push(pattern);
+  });
+  return patternlab;
+}
+
+tap.test('render - renders patterns in workers like the main thread does', {skip: !RenderPool.isSupported()}, function (test) {
+  //arrange
+  var pattern_renderer = new pr();
+  var patternlab = createPatternLab();
+  var head = '<head>{{ cacheBuster }}</head>';
+  var pool = new RenderPool(2, patternlab, head);
+
+  //act
+  pool.render(patternlab.patterns).then(results => {
+
+    //assert
+    test.equals(results.length, 4);
+    test.equals(results[0].patternPartialCode, '<h1>Hello</h1>');
+    test.equals(results[2].patternPartialCode, '<h2>Hello</h2>');
+    return Promise.all(results.map((result, i) => {
+      var pattern = patternlab.patterns[i];
+      return pattern_renderer.render_outputs(pattern, head, patternlab).then(html => {
+        test.equals(result.headHTML, html.headHTML);
+        test.equals(result.footerHTML, html.footerHTML);
+        test.equals(result.patternPartialCode, pattern.patternPartialCode);
+        test.same(result.files, pattern_renderer.format_outputs(html.headHTML, pattern, html.footerHTML, config));
+        // the molecule reads local, which neither it nor the global data has
+        test.same(result.dataKeys, i === 1 ? ['data.title', 'data.local'] : ['data.title']);
+      });
+    }));
+  }).then(() => {
+    return pool.terminate();
+  }).then(() => test.end(), err => {
+    test.threw(err);
+    pool.terminate();
+  });
+});
+
+tap.test('render - reports patterns which cannot be rendered', {skip: !RenderPool.isSupported()}, function (test) {
+  //arrange
+  var patternlab = createPatternLab();
+  var broken = patternlab.patterns[2];
+  broken.template = broken.extendedTemplate = '{{# unclosed }}';
+  var pool = new RenderPool(1, patternlab, '');
+
+  //act
+  pool.render([broken, patternlab.patterns[0]]).then(results => {
+
+    //assert
+    test.ok(/Parse error/.test(results[0].error), 'the error of the broken pattern is reported');
+    test.equals(results[1].error, undefined);
+    test.equals(results[1].patternPartialCode, '<h1>Hello</h1>', 'other patterns are still rendered');
+    return pool.terminate();
+  }).then(() => test.end(), err => {
+    test.threw(err);
+    pool.terminate();
+  });
+});
+
+tap.test('render - loads engines added by module path in workers', {skip: !RenderPool.isSupported()}, function (test) {
+  //arrange
+  engineLoader.addEngine('fake', './test/files/engines/engine_fake.js', config);
+  var patternlab = createPatternLab();
+  var fakePattern = new Pattern('00-test/05-fake.fake');
+  fakePattern.template = fakePattern.extendedTemplate = '<p>fake</p>';
+  fakePattern.patternData = '{}';
+  fakePattern.dataKeys = [];
+  patternlab.patterns.push(fakePattern);
+  var pool = new RenderPool(1, patternlab, '');
+
+  //act
+  pool.render([fakePattern]).then(results => {
+
+    //assert
+    test.equals(results[0].patternPartialCode, 'fake:<p>fake</p>');
+    delete engineLoader.fake;
+    return pool.terminate();
+  }).then(() => test.end(), err => {
+    test.threw(err);
+    pool.terminate();
+  });
+});
+
+tap.test('render - awaits engines rendering asynchronously in workers', {skip: !RenderPool.isSupported()}, function (test) {
+  //arrange
+  engineLoader.addEngine('async', './test/files/engines/engine_async.js', config);
+  var patternlab = createPatternLab();
+  var asyncPattern = new Pattern('00-test/06-async.async');
+  asyncPattern.template = asyncPattern.extendedTemplate = '<p>{{ title }}</p>';
+  asyncPattern.patternData = '{}';
+  asyncPattern.dataKeys = [];
+  patternlab.patterns.push(asyncPattern);
+  var pool = new RenderPool(1, patternlab, '');
+
+  //act
+  pool.render([asyncPattern]).then(results => {
+
+    //assert
+    test.equals(results[0].patternPartialCode, '<p>Hello</p>');
+    test.same(results[0].dataKeys, ['data.title']);
+    delete engineLoader.async;
+    return pool.terminate();
+  }).then(() => test.end(), err => {
+    test.threw(err);
+    pool.terminate();
+  });
+});
+
+tap.test('render - renders included patterns of other engines in workers', {skip: !RenderPool.isSupported()}, function (test) {
+  //arrange
+  var patternlab = createPatternLab();
+  var crossPattern = new Pattern('00-test/07-cross.mustache');
+  crossPattern.template = '<div>{{> test-hbs-atom }}</div>';
+  crossPattern.extendedTemplate = '<div>' + new cep().placeholder('test-hbs-atom') + '</div>';
+  crossPattern.patternData = '{}';
+  crossPattern.dataKeys = [];
+  patternlab.patterns.push(crossPattern);
+  var pool = new RenderPool(1, patternlab, '');
+
+  //act
+  pool.render([crossPattern]).then(results => {
+
+    //assert
+    test.equals(results[0].patternPartialCode, '<div><h2>Hello</h2></div>');
+    return pool.terminate();
+  }).then(() => test.end(), err => {
+    test.threw(err);
+    pool.terminate();
+  });
+});
+
+tap.test('render - replaces workers which stop, and fails waiting patterns once none is left', {skip: !RenderPool.isSupported()}, function (test) {
+  //arrange
+  engineLoader.addEngine('crash', './test/files/engines/engine_crash.js', config);
+  var patternlab = createPatternLab();
+  var createCrashPattern = (relPath, template) => {
+    var pattern = new Pattern(relPath);
+    pattern.template = pattern.extendedTemplate = template;
+    pattern.patternData = '{}';
+    pattern.dataKeys = [];
+    return pattern;
+  };
+  var crashPattern = createCrashPattern('00-test/08-crash.crash', 'crash');
+  var okPattern = createCrashPattern('00-test/09-ok.crash', '<p>ok</p>');
+  var pool = new RenderPool(1, patternlab, '');
+
+  //act
+  pool.render([crashPattern, okPattern]).then(results => {
+
+    //assert
+    test.equals(results[0].error, 'A render worker stopped with exit code 3.', 'fails only the pattern of the worker');
+    test.equals(results[1].patternPartialCode, '<p>ok</p>', 'the worker was replaced');
+    return pool.render([crashPattern, okPattern]);
+  }).then(results => {
+    test.equals(results[0].error, 'A render worker stopped with exit code 3.');
+    test.equals(results[1].error, 'A render worker stopped with exit code 3.', 'fails waiting patterns once no worker is left');
+    return pool.render([okPattern]);
+  }).then(results => {
+    test.equals(results[0].error, 'A render worker stopped with exit code 3.');
+  }).then(() => {
+    delete engineLoader.crash;
+    return pool.terminate();
+  }).then(() => test.end(), err => {
+    test.threw(err);
+    pool.terminate();
+  });
+});
+
+tap.test('RenderPool - cannot be created with data which cannot be passed to workers', {skip: !RenderPool.isSupported()}, function (test) {
+  //arrange
+  var patternlab = createPatternLab();
+  patternlab.data.computed = () => 'computed';
+
+  //act
+  try {
+    new RenderPool(1, patternlab, '');
+    test.fail('should have thrown');
+  } catch (err) {
+    //assert
+    test.equals(err.name, 'DataCloneError');
+    test.match(err.message, /could not be cloned/);
+  }
+  test.end();
+});
@@ -0,0 +1,150 @@
+"use strict";
+
+var tap = require('tap');
+
+var sv = require('../core/lib/schema_validator');
+var configSchema = require('../core/lib/config_schema.json');
+var schema_validator = new sv();
+
+tap.test('validate - the default and test configurations are valid', function (test) {
+  //arrange
+  var defaultConfig = require('../patternlab-config.json');
+  var testConfig = require('./util/patternlab-config.json');
+
+  //act
+  var defaultProblems = schema_validator.validate(defaultConfig, configSchema);
+  var testProblems = schema_validator.validate(testConfig, configSchema);
+
+  //assert
+  test.same(defaultProblems, []);
+  test.same(testProblems, []);
+  test.end();
+});
+
+tap.test('validate - suggests the intended key for unknown keys', function (test) {
+  //arrange
+  var config = {
+    paths: {source: {}, public: {}},
+    cachebust: true,
+    ishControlsHide: {disko: true},
+    completelyUnrelated: 1
+  };
+
+  //act
+  var problems = schema_validator.validate(config, configSchema).filter(p => p.keyword === 'additionalProperties');
+
+  //assert
+  test.same(problems.map(p => p.path), ['cachebust', 'ishControlsHide.disko', 'completelyUnrelated']);
+  test.equals(problems[0].suggestion, 'cacheBust');
+  test.equals(problems[0].message, '[cachebust] is not a known key. Did you mean [cacheBust]?');
+  test.equals(problems[1].suggestion, 'disco');
+  test.equals(problems[2].suggestion, undefined);
+  test.equals(problems[2].message, '[completelyUnrelated] is not a known key.');
+  test.end();
+});
+
+tap.test('validate - checks the options of the server', function (test) {
+  //arrange
+  var config = {
+    paths: {source: {}, public: {}},
+    serverOptions: {host: '0.0.0.0', port: '3000', open: 'styleguide/html/styleguide.html', https: './certs.js', wiat: 500}
+  };
+
+  //act
+  var problems = schema_validator.validate(config, configSchema).filter(p => p.path.indexOf('serverOptions') === 0);
+
+  //assert
+  test.same(problems.map(p => p.keyword + ' ' + p.path), [
+    'type serverOptions.port',
+    'additionalProperties serverOptions.wiat'
+  ]);
+  test.equals(problems[1].suggestion, 'wait');
+  test.end();
+});
+
+tap.test('validate - reports wrong types, values and missing required paths', function (test) {
+  //arrange
+  var config = {
+    paths: {
+      source: {root: './source/', patterns: 3},
+      public: {root: './public/', patterns: './public/patterns/', data: './public/data/', styleguide: './public/styleguide/'}
+    },
+    ishViewportRange: {s: [240]},
+    renderWorkers: -1,
+    theme: {color: 'blue'},
+    plugins: {'plugin-node-tab': {enabled: 'yes'}}
+  };
+
+  //act
+  var problems = schema_validator.validate(config, configSchema);
+
+  //assert
+  test.same(problems.map(p => p.keyword + ' ' + p.path), [
+    'required paths.source.data',
+    'required paths.source.meta',
+    'required paths.source.styleguide',
+    'required paths.source.patternlabFiles',
+    'type paths.source.patterns',
+    'minItems ishViewportRange.s',
+    'minimum renderWorkers',
+    'enum theme.color',
+    'type plugins.plugin-node-tab.enabled'
+  ]);
+  test.equals(problems[4].message, '[paths.source.patterns] should be a string, but is 3.');
+  test.equals(problems[7].message, '[theme.color] should be one of "dark", "light", but is "blue".');
+  test.end();
+});
+
+tap.test('validate - accepts a value of any of the listed types', function (test) {
+  //arrange
+  var schema = {type: 'object', properties: {ishMinimum: {type: ['number', 'string']}}};
+
+  //act
+  var valid = schema_validator.validate({ishMinimum: '240'}, schema);
+  var invalid = schema_validator.validate({ishMinimum: true}, schema);
+
+  //assert
+  test.same(valid, []);
+  test.equals(invalid[0].message, '[ishMinimum] should be a number or a string, but is true.');
+  test.end();
+});
+
+tap.test('validate - reports strings not matching the pattern', function (test) {
+  //arrange
+  var config = {
+    paths: {source: {}, public: {}},
+    engineMapping: [{engine: 'handlebars', extension: '.hbs'}, {engine: 'twig', extension: 'twig'}]
+  };
+
+  //act
+  var problems = schema_validator.validate(config, configSchema).filter(p => p.keyword === 'pattern');
+
+  //assert
+  test.equals(problems.length, 1);
+  test.equals(problems[0].path, 'engineMapping[1].extension');
+  test.equals(problems[0].message, '[engineMapping[1].extension] should match ^\\., but is "twig".');
+  test.match(schema_validator.validate('a', {pattern: '('})[0].message, /^\[\] cannot be checked, as the pattern of the schema is invalid: /);
+  test.end();
+});
+
+tap.test('find_unsupported_keywords - finds the keywords which are not checked, once each', function (test) {
+  //arrange
+  var schema = {
+    $schema: 'http://json-schema.org/draft-04/schema#',
+    title: 'Card',
+    type: 'object',
+    properties: {
+      title: {type: 'string', maxLength: 40},
+      tags: {type: 'array', items: {type: 'string', maxLength: 10, format: 'slug'}},
+      kind: {oneOf: [{enum: ['a']}, {enum: ['b']}]}
+    }
+  };
+
+  //act
+  var keywords = schema_validator.find_unsupported_keywords(schema);
+
+  //assert
+  test.same(keywords, ['maxLength', 'format', 'oneOf']);
+  test.same(schema_validator.find_unsupported_keywords(configSchema), [], 'the config schema is checked completely');
+  test.end();
+});
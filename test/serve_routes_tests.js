@@ -0,0 +1,135 @@
+"use strict";
+
+var tap = require('tap');
+var PassThrough = require('stream').PassThrough;
+
+var sr = require('../core/lib/serve_routes');
+
+function createApi() {
+  var api = {
+    rendered: [],
+    queries: [],
+    render: function (patternPartial, data) {
+      api.rendered.push({patternPartial: patternPartial, data: data});
+      if (patternPartial !== 'atoms-button') {
+        var err = new Error('Could not find pattern ' + patternPartial);
+        err.code = 'PATTERN_NOT_FOUND';
+        return Promise.reject(err);
+      }
+      return Promise.resolve('<button>' + data.label + '</button>');
+    },
+    getPatterns: function (query) {
+      api.queries.push(query);
+      if (query.grop) {
+        var err = new Error('Unknown pattern query key "grop"');
+        err.code = 'UNKNOWN_QUERY_KEY';
+        return Promise.reject(err);
+      }
+      if (query.group === 'broken') {
+        return Promise.reject(new Error('Could not load the patterns'));
+      }
+      return Promise.resolve([{patternPartial: 'atoms-button'}]);
+    }
+  };
+  return api;
+}
+
+function request(middleware, method, url, body) {
+  var req = new PassThrough();
+  req.method = method;
+  req.url = url;
+  req.end(body);
+
+  return new Promise(function (resolve) {
+    var res = {
+      headers: {},
+      setHeader: function (name, value) { res.headers[name] = value; },
+      end: function (content) {
+        res.body = content;
+        resolve(res);
+      }
+    };
+    middleware(req, res, function () {
+      resolve('next');
+    });
+  });
+}
+
+tap.test('render route - renders the pattern with the data from the query and the request body', function (test) {
+  //arrange
+  var api = createApi();
+  var middleware = new sr(api).middleware;
+  var data = encodeURIComponent(JSON.stringify({label: 'Query', size: 'large'}));
+
+  //act
+  request(middleware, 'POST', '/__render/atoms-button?data=' + data, '{"label": "Body"}').then(function (res) {
+    //assert
+    test.equals(res.statusCode, 200);
+    test.equals(res.headers['Content-Type'], 'text/html; charset=utf-8');
+    test.equals(res.body, '<button>Body</button>');
+    test.same(api.rendered[0], {patternPartial: 'atoms-button', data: {label: 'Body', size: 'large'}});
+    test.end();
+  });
+});
+
+tap.test('render route - answers 404 for unknown patterns and 400 for invalid data or paths', function (test) {
+  //arrange
+  var middleware = new sr(createApi()).middleware;
+
+  //act
+  Promise.all([
+    request(middleware, 'GET', '/__render/atoms-nothing'),
+    request(middleware, 'GET', '/__render/atoms-button?data={label'),
+    request(middleware, 'POST', '/__render/atoms-button', '[1, 2]'),
+    request(middleware, 'GET', '/__render/%E0')
+  ]).then(function (responses) {
+    //assert
+    test.equals(responses[0].statusCode, 404);
+    test.equals(responses[0].body, 'Could not find pattern atoms-nothing');
+    test.equals(responses[1].statusCode, 400);
+    test.ok(responses[1].body.indexOf('The data query parameter is not valid JSON') === 0);
+    test.equals(responses[2].statusCode, 400);
+    test.equals(responses[2].body, 'The request body must be a JSON object.');
+    test.equals(responses[3].statusCode, 400);
+    test.equals(responses[3].body, 'The pattern %E0 is not a valid URL component.');
+    test.end();
+  });
+});
+
+tap.test('patterns route - returns the patterns matching the query as JSON, or answers 400 for unknown query keys and 500 for failures', function (test) {
+  //arrange
+  var api = createApi();
+  var middleware = new sr(api).middleware;
+
+  //act
+  Promise.all([
+    request(middleware, 'GET', '/__patterns?group=atoms&tag=form&tag=button'),
+    request(middleware, 'GET', '/__patterns?grop=atoms'),
+    request(middleware, 'GET', '/__patterns?group=broken')
+  ]).then(function (responses) {
+    //assert
+    test.equals(responses[0].statusCode, 200);
+    test.equals(responses[0].headers['Content-Type'], 'application/json; charset=utf-8');
+    test.same(JSON.parse(responses[0].body), [{patternPartial: 'atoms-button'}]);
+    test.same(Object.assign({}, api.queries[0]), {group: 'atoms', tag: ['form', 'button']});
+    test.equals(responses[1].statusCode, 400);
+    test.equals(responses[2].statusCode, 500);
+    test.equals(responses[2].body, 'Could not load the patterns');
+    test.end();
+  });
+});
+
+tap.test('other requests are passed on', function (test) {
+  //arrange
+  var middleware = new sr(createApi()).middleware;
+
+  //act
+  Promise.all([
+    request(middleware, 'GET', '/index.html'),
+    request(middleware, 'POST', '/__patterns')
+  ]).then(function (responses) {
+    //assert
+    test.same(responses, ['next', 'next']);
+    test.end();
+  });
+});
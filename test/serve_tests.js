@@ -0,0 +1,113 @@
+"use strict";
+
+var tap = require('tap');
+var rewire = require('rewire');
+var EventEmitter = require('events').EventEmitter;
+
+var Pattern = require('../core/lib/object_factory').Pattern;
+var config = require('./util/patternlab-config.json');
+var engineLoader = require('../core/lib/pattern_engines');
+engineLoader.loadAllEngines(config);
+
+var serve = rewire('../core/lib/serve');
+
+var broadcasts = [];
+var DevServerMock = function (options) {
+  this.options = options;
+  this.url = 'http://localhost:8080';
+};
+DevServerMock.prototype = {
+  start: function () { return Promise.resolve(this); },
+  broadcast: function (message) { broadcasts.push(message); },
+  close: function () { return Promise.resolve(); }
+};
+
+serve.__set__({
+  'DevServer': DevServerMock
+});
+
+function createPatternlab() {
+  var patternlab = {
+    config: Object.assign({}, config, {
+      paths: {
+        public: {
+          root: './public/',
+          patterns: './public/patterns/',
+          styleguide: './public/styleguide/'
+        }
+      },
+      serverOptions: {wait: 0}
+    }),
+    events: new EventEmitter(),
+    watchers: {},
+    patternTypes: [{patternTypeLC: 'atoms'}],
+    patternPaths: {},
+    viewAllPaths: {}
+  };
+  patternlab.patterns = [
+    new Pattern('00-atoms/00-global/00-button.mustache', null, patternlab),
+    new Pattern('01-molecules/00-blocks/00-card.mustache', null, patternlab)
+  ];
+  return patternlab;
+}
+
+tap.test('serve - reloads the pages showing the rebuilt patterns after a build', function (test) {
+  //arrange
+  broadcasts = [];
+  var patternlab = createPatternlab();
+
+  serve(patternlab, {}).then(function (server) {
+    //act
+    patternlab.events.emit('patternlab-build-end', patternlab, {patterns: ['atoms-button']});
+    patternlab.events.emit('patternlab-build-end', patternlab, {patterns: []});
+
+    //assert
+    test.same(broadcasts, [{
+      type: 'reload',
+      paths: [
+        '/patterns/00-atoms-00-global-00-button/00-atoms-00-global-00-button.rendered.html',
+        '/patterns/00-atoms-00-global/index.html',
+        '/patterns/00-atoms/index.html',
+        '/styleguide/html/styleguide.html'
+      ]
+    }]);
+    return server.close();
+  }).then(test.end).catch(test.threw);
+});
+
+tap.test('serve - reloads the whole styleguide if its navigation changed', function (test) {
+  //arrange
+  broadcasts = [];
+  var patternlab = createPatternlab();
+
+  serve(patternlab, {}).then(function (server) {
+    //act
+    patternlab.patternTypes = patternlab.patternTypes.concat([{patternTypeLC: 'molecules'}]);
+    patternlab.events.emit('patternlab-build-end', patternlab, {patterns: ['molecules-card']});
+
+    //assert
+    test.same(broadcasts, [{type: 'reload'}]);
+    return server.close();
+  }).then(test.end).catch(test.threw);
+});
+
+tap.test('serve - swaps stylesheets when css changed and stops listening when closed', function (test) {
+  //arrange
+  broadcasts = [];
+  var patternlab = createPatternlab();
+
+  serve(patternlab, {}).then(function (server) {
+    //act
+    patternlab.events.emit('patternlab-asset-change', {file: 'public/css/style.css'});
+
+    setTimeout(function () {
+      //assert
+      test.same(broadcasts, [{type: 'css'}]);
+      server.close().then(function () {
+        test.equals(patternlab.events.listenerCount('patternlab-build-end'), 0);
+        test.equals(patternlab.events.listenerCount('patternlab-asset-change'), 0);
+        test.end();
+      });
+    }, 10);
+  }).catch(test.threw);
+});
@@ -409,3 +409,39 @@ tap.test('buildViewAllPages - adds viewall page for each type and subtype', func
 
   test.end();
 });
+
+tap.test('buildViewAllPages - only writes the viewall pages showing changed patterns', function (test) {
+  //arrange
+  let mainPageHeadHtml = '<head></head>';
+  let patternlab = createFakePatternLab({
+    patterns: [],
+    patternGroups: {},
+    subtypePatterns: {}
+  });
+
+  const blue = new Pattern('patternType1/patternSubType1/blue.mustache');
+  patternlab.patterns.push(
+    blue,
+    new Pattern('patternType1/patternSubType1/red.mustache'),
+    new Pattern('patternType1/patternSubType2/black.mustache'),
+    new Pattern('patternType1/patternSubType2/grey.mustache')
+  );
+  ui.resetUIBuilderState(patternlab);
+
+  let styleguidePatterns = ui.groupPatterns(patternlab);
+  const writtenFiles = [];
+  const outputFileSync = fsMock.outputFileSync;
+  fsMock.outputFileSync = function (file) { writtenFiles.push(file); };
+
+  //act
+  var patterns = ui.buildViewAllPages(mainPageHeadHtml, patternlab, styleguidePatterns, [blue]);
+
+  //assert
+  fsMock.outputFileSync = outputFileSync;
+  test.same(writtenFiles, [
+    patternlab.config.paths.public.patterns + 'patternType1-patternSubType1/index.html',
+    patternlab.config.paths.public.patterns + 'patternType1/index.html'
+  ]);
+  test.equals(patterns.length, 6, 'the styleguide still shows all patterns');
+  test.end();
+});